@@ -6,15 +6,20 @@ import { useAudio } from './hooks/useAudio'
 import FactionSelect from './components/FactionSelect'
 import GameBoard from './components/GameBoard'
 import AudioControl from './components/AudioControl'
+import SaveLoadPanel from './components/SaveLoadPanel'
+import ReplayViewer from './components/ReplayViewer'
+import { listSaves } from './utils/saveSlots'
+import { readReplayFile } from './utils/replayFile'
 
 // Game screens
 const SCREENS = {
   TITLE: 'title',
   FACTION_SELECT: 'faction_select',
   GAME: 'game',
+  REPLAY: 'replay',
 }
 
-function TitleScreen({ onStart }) {
+function TitleScreen({ onStart, onLoad, onOpenReplay, replayError }) {
   return (
     <div className="min-h-screen flex flex-col items-center justify-center bg-void-950 px-4">
       {/* Background effects */}
@@ -58,6 +63,52 @@ function TitleScreen({ onStart }) {
           Begin
         </button>
         
+        {/* Load saved game */}
+        {onLoad && (
+          <div className="mt-4 animate-fade-in" style={{ animationDelay: '0.7s' }}>
+            <button
+              onClick={onLoad}
+              className="
+                px-6 sm:px-8 py-2 font-display text-xs sm:text-sm tracking-widest uppercase
+                text-steel-light/70 border border-steel-light/20 rounded
+                transition-all duration-300
+                hover:border-steel-light/50 hover:text-steel-bright
+                active:scale-95
+              "
+            >
+              Load Game
+            </button>
+          </div>
+        )}
+        
+        {/* Watch a shared replay file */}
+        <div className="mt-4 animate-fade-in" style={{ animationDelay: '0.75s' }}>
+          <label
+            className="
+              inline-block px-6 sm:px-8 py-2 font-display text-xs sm:text-sm tracking-widest uppercase
+              text-steel-light/70 border border-steel-light/20 rounded cursor-pointer
+              transition-all duration-300
+              hover:border-steel-light/50 hover:text-steel-bright
+              active:scale-95
+            "
+          >
+            Watch Replay
+            <input
+              type="file"
+              accept=".json,application/json"
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files?.[0]
+                if (file) onOpenReplay(file)
+                e.target.value = ''
+              }}
+            />
+          </label>
+          {replayError && (
+            <div className="mt-2 text-xs text-red-400">{replayError}</div>
+          )}
+        </div>
+        
         {/* Version */}
         <div className="mt-8 sm:mt-12 text-xs font-mono text-steel-light/30 animate-fade-in" style={{ animationDelay: '0.8s' }}>
           v0.3.1 - Phase 3 Build
@@ -80,6 +131,10 @@ function TitleScreen({ onStart }) {
 
 export default function App() {
   const [screen, setScreen] = useState(SCREENS.TITLE)
+  const [showLoad, setShowLoad] = useState(false)
+  const [replay, setReplay] = useState(null)
+  const [replayReturnScreen, setReplayReturnScreen] = useState(SCREENS.TITLE)
+  const [replayError, setReplayError] = useState(null)
   const { state, actions, dispatch } = useGameState()
   const { isInitialized, isMuted, startMusic, toggleMute } = useAudio()
   
@@ -87,24 +142,73 @@ export default function App() {
     setScreen(SCREENS.FACTION_SELECT)
   }, [])
   
-  const handleSelectFaction = useCallback((factionId) => {
+  const handleSelectFaction = useCallback((factionId, options) => {
     // Start music when game begins
     startMusic()
-    actions.startGame(factionId)
+    actions.startGame(factionId, options)
     setScreen(SCREENS.GAME)
   }, [actions, startMusic])
   
+  const handleLoadGame = useCallback((slot) => {
+    const loaded = actions.loadGame(slot)
+    if (loaded) {
+      startMusic()
+      setScreen(SCREENS.GAME)
+    }
+    return loaded
+  }, [actions, startMusic])
+  
+  const handleWatchReplay = useCallback((replayData) => {
+    setReplayReturnScreen(screen)
+    setReplay(replayData)
+    setScreen(SCREENS.REPLAY)
+  }, [screen])
+  
+  const handleOpenReplayFile = useCallback((file) => {
+    setReplayError(null)
+    readReplayFile(file)
+      .then(handleWatchReplay)
+      .catch(err => setReplayError(err.message || 'Could not read replay'))
+  }, [handleWatchReplay])
+  
+  const handleExitReplay = useCallback(() => {
+    setReplay(null)
+    setScreen(replayReturnScreen)
+  }, [replayReturnScreen])
+  
+  const hasSaves = listSaves().length > 0
+  
   // Render based on current screen
   const renderScreen = () => {
     switch (screen) {
       case SCREENS.TITLE:
-        return <TitleScreen onStart={handleStart} />
+        return (
+          <TitleScreen
+            onStart={handleStart}
+            onLoad={hasSaves ? () => setShowLoad(true) : null}
+            onOpenReplay={handleOpenReplayFile}
+            replayError={replayError}
+          />
+        )
       
       case SCREENS.FACTION_SELECT:
         return <FactionSelect onSelectFaction={handleSelectFaction} />
       
       case SCREENS.GAME:
-        return <GameBoard state={state} actions={actions} dispatch={dispatch} />
+        return (
+          <GameBoard
+            state={state}
+            actions={actions}
+            dispatch={dispatch}
+            onWatchReplay={handleWatchReplay}
+            onNewGame={handleStart}
+          />
+        )
+      
+      case SCREENS.REPLAY:
+        return replay
+          ? <ReplayViewer replay={replay} onExit={handleExitReplay} />
+          : <TitleScreen onStart={handleStart} />
       
       default:
         return <TitleScreen onStart={handleStart} />
@@ -114,6 +218,13 @@ export default function App() {
   return (
     <>
       {renderScreen()}
+      {showLoad && (
+        <SaveLoadPanel
+          canSave={false}
+          onLoad={handleLoadGame}
+          onClose={() => setShowLoad(false)}
+        />
+      )}
       {/* Show audio control once music has been initialized (game started) */}
       {isInitialized && (
         <AudioControl isMuted={isMuted} onToggle={toggleMute} />
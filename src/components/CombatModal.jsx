@@ -4,7 +4,7 @@ import { useState, useEffect } from 'react'
 import { UNITS, DOCTRINES, getVeterancyLevel, VETERANCY_LEVELS, getBranchColor } from '../data/units'
 import { TERRAIN_TYPES, BUILDINGS } from '../data/terrain'
 import { FACTIONS } from '../data/factions'
-import { previewCombat, getAvailableDoctrines, getRecommendedDoctrine } from '../utils/combatResolver'
+import { previewStackCombat, getAvailableDoctrines, getRecommendedDoctrine } from '../utils/combatResolver'
 import { getFactionImage, getBranchImage, getVeterancyImage, getTerrainImage, getBuildingImage } from '../assets'
 
 // Unit portrait component
@@ -99,6 +99,61 @@ function UnitPortrait({ unit, isAttacker, faction }) {
   )
 }
 
+// Other units fighting alongside the lead unit, with their forecast
+function StackRoster({ members, isAttacker }) {
+  if (!members || members.length <= 1) return null
+  
+  return (
+    <div className={`mt-2 p-2 rounded border text-xs ${
+      isAttacker ? 'border-red-500/30 bg-red-500/5' : 'border-blue-500/30 bg-blue-500/5'
+    }`}>
+      <div className="text-steel-light/60 mb-1 font-display uppercase">
+        Stack of {members.length}
+      </div>
+      <div className="space-y-0.5 font-mono">
+        {members.slice(1).map(({ unit, damageTaken, newHealth, destroyed }) => (
+          <div key={unit.id} className="flex justify-between">
+            <span className="text-steel-light truncate mr-2">{UNITS[unit.type]?.name || unit.type}</span>
+            <span className={destroyed ? 'text-red-500' : 'text-steel-light/70'}>
+              {unit.health}% → {destroyed ? 'X' : `${newHealth}%`} (-{damageTaken})
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// Abilities in effect for one side, grouped with a count of units using each
+function AbilityEffects({ effects, isAttacker }) {
+  const grouped = Object.values((effects || []).reduce((acc, effect) => {
+    acc[effect.id] = acc[effect.id] || { ...effect, count: 0 }
+    acc[effect.id].count++
+    return acc
+  }, {}))
+  
+  return (
+    <div>
+      <div className={`text-xs mb-1 font-display ${isAttacker ? 'text-red-400' : 'text-blue-400'}`}>
+        {isAttacker ? 'ATTACKER' : 'DEFENDER'}
+      </div>
+      {grouped.length === 0 ? (
+        <div className="text-[10px] text-steel-light/40">None</div>
+      ) : (
+        <div className="space-y-1">
+          {grouped.map(effect => (
+            <div key={effect.id} className="text-[10px] leading-tight">
+              <span className="text-steel-bright">{effect.name}</span>
+              {effect.count > 1 && <span className="text-steel-light/50"> ×{effect.count}</span>}
+              <div className="text-steel-light/60">{effect.effect}</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
 // Doctrine selector
 function DoctrineSelector({ availableDoctrines, selectedDoctrine, onSelect, recommended, disabled }) {
   return (
@@ -230,13 +285,16 @@ function CombatPreview({ preview }) {
 export default function CombatModal({ 
   attacker, 
   defender, 
+  attackers,
+  defenders,
+  units,
   terrain,
   hexBuildings = [],
+  fortificationDamage = 0,
   onResolve, 
   onCancel 
 }) {
   const [attackerDoctrine, setAttackerDoctrine] = useState('assault')
-  const [defenderDoctrine, setDefenderDoctrine] = useState('defensive')
   const [preview, setPreview] = useState(null)
   const [isResolving, setIsResolving] = useState(false)
   const [result, setResult] = useState(null)
@@ -254,24 +312,28 @@ export default function CombatModal({
   const attackerDoctrines = getAvailableDoctrines(attacker)
   const defenderDoctrines = getAvailableDoctrines(defender)
   
-  // Get recommended doctrines
+  // Get recommended doctrines; the defender always fights with its recommended one
   const recommendedAttacker = getRecommendedDoctrine(attacker, defender, terrain, true)
-  const recommendedDefender = getRecommendedDoctrine(defender, attacker, terrain, false)
+  const defenderDoctrine = getRecommendedDoctrine(defender, attacker, terrain, false)
   
   // Update preview when doctrines change
   useEffect(() => {
     if (attacker && defender) {
-      const combatPreview = previewCombat(
-        attacker, 
-        defender, 
+      const combatPreview = previewStackCombat(
+        attackers?.length ? attackers : [attacker], 
+        defenders?.length ? defenders : [defender], 
         attackerDoctrine, 
         defenderDoctrine, 
         terrain,
-        hexBuildings
+        hexBuildings,
+        { units, fortificationDamage }
       )
       setPreview(combatPreview)
     }
-  }, [attacker, defender, attackerDoctrine, defenderDoctrine, terrain, hexBuildings])
+  }, [attacker, defender, attackers, defenders, units, attackerDoctrine, defenderDoctrine, terrain, hexBuildings, fortificationDamage])
+  
+  // Siege and attrition invest the hex and fight several turns later
+  const prolonged = DOCTRINES[attackerDoctrine]?.turnsRequired > 1 ? DOCTRINES[attackerDoctrine] : null
   
   const handleResolve = () => {
     setIsResolving(true)
@@ -281,7 +343,6 @@ export default function CombatModal({
       if (onResolve) {
         onResolve({
           attackerDoctrine,
-          defenderDoctrine,
           preview
         })
       }
@@ -305,6 +366,11 @@ export default function CombatModal({
                   '🏰'
                 )}
                 Fortress
+                {fortificationDamage > 0 && (
+                  <span className="text-orange-400">
+                    {Math.round((1 - fortificationDamage) * 100)}%
+                  </span>
+                )}
               </span>
             )}
           </h2>
@@ -326,8 +392,14 @@ export default function CombatModal({
           <>
             {/* Unit portraits */}
             <div className="grid grid-cols-2 gap-4 mb-6">
-              <UnitPortrait unit={attacker} isAttacker={true} faction={attackerFaction} />
-              <UnitPortrait unit={defender} isAttacker={false} faction={defenderFaction} />
+              <div>
+                <UnitPortrait unit={attacker} isAttacker={true} faction={attackerFaction} />
+                <StackRoster members={preview?.attackers} isAttacker={true} />
+              </div>
+              <div>
+                <UnitPortrait unit={defender} isAttacker={false} faction={defenderFaction} />
+                <StackRoster members={preview?.defenders} isAttacker={false} />
+              </div>
             </div>
             
             {/* Doctrine selection */}
@@ -350,8 +422,7 @@ export default function CombatModal({
                 <DoctrineSelector 
                   availableDoctrines={defenderDoctrines}
                   selectedDoctrine={defenderDoctrine}
-                  onSelect={setDefenderDoctrine}
-                  recommended={recommendedDefender}
+                  recommended={defenderDoctrine}
                   disabled={true}
                 />
               </div>
@@ -365,8 +436,39 @@ export default function CombatModal({
               <CombatPreview preview={preview} />
             </div>
             
+            {/* Abilities in effect */}
+            {preview?.abilities && (
+              <div className="mb-6">
+                <div className="text-xs text-steel-light/60 mb-2 font-display uppercase">
+                  Active Effects
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <AbilityEffects effects={preview.abilities.attacker} isAttacker={true} />
+                  <AbilityEffects effects={preview.abilities.defender} isAttacker={false} />
+                </div>
+              </div>
+            )}
+            
+            {/* Prolonged engagement notice */}
+            {prolonged && (
+              <div className="mb-4 p-3 bg-orange-500/10 border border-orange-500/30 rounded text-center">
+                <span className="text-orange-300 text-sm font-display">
+                  {prolonged.name.toUpperCase()}: battle fought in {prolonged.turnsRequired} turns
+                </span>
+                <div className="text-[10px] text-steel-light/60 font-mono mt-1">
+                  {prolonged.fortificationDamage
+                    ? `Wears down fortifications by ${Math.round(prolonged.fortificationDamage * 100)}% · `
+                    : ''}
+                  {prolonged.supplyCost
+                    ? `Bleeds the defenders at ${Math.round(prolonged.supplyCost * 100)}% extra grain upkeep a turn · `
+                    : ''}
+                  Lifted if the defender brings a relief force
+                </div>
+              </div>
+            )}
+            
             {/* Territory capture notice */}
-            {preview?.defender?.destroyed && (
+            {!prolonged && preview?.defenders?.every(m => m.destroyed) && (
               <div className="mb-4 p-3 bg-green-500/10 border border-green-500/30 rounded text-center">
                 <span className="text-green-400 text-sm font-display">
                   ✓ TERRITORY CAPTURED
@@ -2,7 +2,21 @@
 // Fits on screen, has clear close buttons
 
 import { useMemo } from 'react'
-import { FACTIONS } from '../data/factions'
+import { FACTIONS, DIPLOMATIC_ACTIONS } from '../data/factions'
+import { getOpinionLabel } from '../engine/diplomacy'
+
+const RESOURCE_ICONS = { gold: '◈', iron: '⬡', grain: '❋', influence: '✧' }
+
+function formatCost(cost) {
+  const parts = Object.entries(cost || {})
+    .filter(([, amt]) => amt > 0)
+    .map(([res, amt]) => `${amt}${RESOURCE_ICONS[res] || res}`)
+  return parts.length > 0 ? parts.join(' ') : 'Free'
+}
+
+function canAfford(resources, cost) {
+  return Object.entries(cost || {}).every(([res, amt]) => (resources?.[res] || 0) >= amt)
+}
 
 const RELATION_COLORS = {
   hostile: { bg: 'bg-red-900/30', text: 'text-red-400', border: 'border-red-500/50' },
@@ -11,11 +25,19 @@ const RELATION_COLORS = {
   allied: { bg: 'bg-blue-900/30', text: 'text-blue-400', border: 'border-blue-500/50' },
 }
 
+const ACTION_VERBS = {
+  improve: 'reached out to',
+  propose_alliance: 'proposed an alliance to',
+  declare_war: 'declared war on',
+}
+
 export default function DiplomacyPanel({ 
   playerFaction, 
   relations, 
   playerResources,
   lastDiplomaticResult,
+  opinions = {},
+  diplomaticLog = [],
   onDiplomaticAction, 
   onClose 
 }) {
@@ -26,8 +48,12 @@ export default function DiplomacyPanel({
         id,
         ...faction,
         relation: relations?.[playerFaction]?.[id] || 'neutral',
+        opinion: opinions[id],
       }))
-  }, [playerFaction, relations])
+  }, [playerFaction, relations, opinions])
+  
+  // Newest first
+  const recentEvents = useMemo(() => [...diplomaticLog].reverse(), [diplomaticLog])
   
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-void-950/80">
@@ -56,6 +82,12 @@ export default function DiplomacyPanel({
           </div>
         )}
         
+        {/* Treasury */}
+        <div className="flex-none px-4 py-2 border-b border-steel-light/10 text-xs font-mono text-steel-light/70">
+          Available: <span className="text-purple-400">✧{playerResources?.influence || 0}</span>
+          <span className="text-yellow-400"> ◈{playerResources?.gold || 0}</span>
+        </div>
+        
         {/* Faction list */}
         <div 
           className="flex-1 overflow-y-auto p-4 space-y-3"
@@ -65,10 +97,29 @@ export default function DiplomacyPanel({
             <FactionCard 
               key={faction.id}
               faction={faction}
+              playerResources={playerResources}
               onImprove={() => onDiplomaticAction?.(faction.id, 'improve')}
+              onProposeAlliance={() => onDiplomaticAction?.(faction.id, 'propose_alliance')}
               onDeclareWar={() => onDiplomaticAction?.(faction.id, 'declare_war')}
             />
           ))}
+          
+          {/* Recent diplomatic events across the sphere */}
+          {recentEvents.length > 0 && (
+            <div className="pt-2 border-t border-steel-light/10">
+              <div className="text-[10px] font-display uppercase tracking-wider text-steel-light/50 mb-1">
+                Recent Events
+              </div>
+              {recentEvents.map((event, i) => (
+                <div key={i} className="text-[11px] font-mono text-steel-light/70">
+                  T{event.turn} {FACTIONS[event.faction]?.name || event.faction}{' '}
+                  {ACTION_VERBS[event.actionType] || event.actionType}{' '}
+                  {FACTIONS[event.targetFaction]?.name || event.targetFaction}:{' '}
+                  <span className={event.success ? 'text-green-400' : 'text-red-400'}>{event.message}</span>
+                </div>
+              ))}
+            </div>
+          )}
         </div>
         
         {/* Footer close button */}
@@ -87,8 +138,13 @@ export default function DiplomacyPanel({
   )
 }
 
-function FactionCard({ faction, onImprove, onDeclareWar }) {
+function FactionCard({ faction, playerResources, onImprove, onProposeAlliance, onDeclareWar }) {
   const colors = RELATION_COLORS[faction.relation] || RELATION_COLORS.neutral
+  const improveCost = DIPLOMATIC_ACTIONS.IMPROVE_RELATIONS.cost
+  const ceasefireCost = DIPLOMATIC_ACTIONS.PROPOSE_CEASEFIRE.cost
+  const allianceCost = DIPLOMATIC_ACTIONS.PROPOSE_ALLIANCE.cost
+  const warCost = DIPLOMATIC_ACTIONS.DECLARE_WAR.cost
+  const canImprove = canAfford(playerResources, improveCost)
   
   return (
     <div className={`${colors.bg} border ${colors.border} rounded-lg p-3`}>
@@ -109,42 +165,64 @@ function FactionCard({ faction, onImprove, onDeclareWar }) {
       </div>
       
       {/* Description */}
-      <p className="text-xs text-steel-light/60 mb-3 line-clamp-2">
+      <p className="text-xs text-steel-light/60 mb-1 line-clamp-2">
         {faction.description || 'A faction vying for control of the fractured sphere.'}
       </p>
       
+      {/* Their opinion of the player decides how they answer proposals */}
+      {faction.opinion !== undefined && (
+        <div className="text-[11px] font-mono text-steel-light/70 mb-3">
+          Opinion of you: {getOpinionLabel(faction.opinion)} ({faction.opinion > 0 ? '+' : ''}{faction.opinion})
+        </div>
+      )}
+      
       {/* Actions */}
       <div className="flex gap-2">
-        {faction.relation !== 'allied' && faction.relation !== 'friendly' && (
+        {faction.relation === 'neutral' && (
           <button
             onClick={onImprove}
+            disabled={!canImprove}
             className="flex-1 py-1.5 text-xs font-display uppercase tracking-wider
                        bg-green-900/50 text-green-400 border border-green-500/50 rounded
-                       active:bg-green-800"
+                       active:bg-green-800 disabled:opacity-40"
+          >
+            Improve <span className="font-mono normal-case">({formatCost(improveCost)})</span>
+          </button>
+        )}
+        
+        {faction.relation === 'friendly' && (
+          <button
+            onClick={onProposeAlliance}
+            disabled={!canAfford(playerResources, allianceCost)}
+            className="flex-1 py-1.5 text-xs font-display uppercase tracking-wider
+                       bg-blue-900/50 text-blue-400 border border-blue-500/50 rounded
+                       active:bg-blue-800 disabled:opacity-40"
           >
-            Improve
+            Ally <span className="font-mono normal-case">({formatCost(allianceCost)})</span>
           </button>
         )}
         
         {faction.relation !== 'hostile' && (
           <button
             onClick={onDeclareWar}
+            disabled={!canAfford(playerResources, warCost)}
             className="flex-1 py-1.5 text-xs font-display uppercase tracking-wider
                        bg-red-900/50 text-red-400 border border-red-500/50 rounded
-                       active:bg-red-800"
+                       active:bg-red-800 disabled:opacity-40"
           >
-            Declare War
+            Declare War <span className="font-mono normal-case">({formatCost(warCost)})</span>
           </button>
         )}
         
         {faction.relation === 'hostile' && (
           <button
             onClick={onImprove}
+            disabled={!canAfford(playerResources, ceasefireCost)}
             className="flex-1 py-1.5 text-xs font-display uppercase tracking-wider
                        bg-yellow-900/50 text-yellow-400 border border-yellow-500/50 rounded
-                       active:bg-yellow-800"
+                       active:bg-yellow-800 disabled:opacity-40"
           >
-            Seek Peace
+            Seek Peace <span className="font-mono normal-case">({formatCost(ceasefireCost)})</span>
           </button>
         )}
       </div>
@@ -2,7 +2,9 @@
 
 import { useState } from 'react'
 import { FACTIONS } from '../data/factions'
+import { VICTORY_CONDITIONS, DIFFICULTY_LEVELS, DEFAULT_DIFFICULTY } from '../data/mapData'
 import { getFactionImage } from '../assets'
+import { generateSeed } from '../utils/random'
 
 function FactionCard({ faction, isSelected, onSelect }) {
   const emblemImage = getFactionImage(faction.id)
@@ -83,10 +85,25 @@ function FactionCard({ faction, isSelected, onSelect }) {
 export default function FactionSelect({ onSelectFaction }) {
   const [selectedFaction, setSelectedFaction] = useState(null)
   const [showLore, setShowLore] = useState(false)
+  const [victoryConditions, setVictoryConditions] = useState(() => Object.keys(VICTORY_CONDITIONS))
+  const [difficulty, setDifficulty] = useState(DEFAULT_DIFFICULTY)
+  const [seed, setSeed] = useState(() => String(generateSeed()))
+  
+  const toggleCondition = (id) => {
+    setVictoryConditions(prev =>
+      prev.includes(id) ? prev.filter(c => c !== id) : [...prev, id]
+    )
+  }
   
   const handleConfirm = () => {
-    if (selectedFaction) {
-      onSelectFaction(selectedFaction)
+    if (selectedFaction && victoryConditions.length > 0) {
+      // A blank seed still gets a fresh one; a typed seed replays that game
+      const trimmed = seed.trim()
+      onSelectFaction(selectedFaction, {
+        victoryConditions,
+        difficulty,
+        seed: trimmed === '' ? generateSeed() : /^\d+$/.test(trimmed) ? Number(trimmed) : trimmed,
+      })
     }
   }
   
@@ -155,15 +172,95 @@ export default function FactionSelect({ onSelectFaction }) {
           </div>
         )}
         
+        {/* AI difficulty */}
+        <div className="panel mb-6 sm:mb-8">
+          <div className="font-display text-sm tracking-wider uppercase text-steel-light mb-3">
+            Difficulty
+          </div>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            {Object.values(DIFFICULTY_LEVELS).map(level => (
+              <button
+                key={level.id}
+                onClick={() => setDifficulty(level.id)}
+                className={`py-2 text-xs font-display uppercase tracking-wider rounded border transition-colors
+                  ${difficulty === level.id
+                    ? 'border-steel-bright bg-steel/30 text-steel-bright'
+                    : 'border-steel-light/20 text-steel-light/60 hover:border-steel-light/50'
+                  }`}
+              >
+                {level.name}
+              </button>
+            ))}
+          </div>
+          <div className="mt-2 text-xs text-steel-light/60">
+            {DIFFICULTY_LEVELS[difficulty].description}
+          </div>
+        </div>
+        
+        {/* Map seed */}
+        <div className="panel mb-6 sm:mb-8">
+          <div className="font-display text-sm tracking-wider uppercase text-steel-light mb-3">
+            Seed
+          </div>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={seed}
+              onChange={(e) => setSeed(e.target.value)}
+              className="flex-1 min-w-0 px-2 py-1.5 text-sm font-mono bg-void-900 text-steel-bright
+                         border border-steel-light/20 rounded focus:border-steel-light/50 outline-none"
+            />
+            <button
+              onClick={() => setSeed(String(generateSeed()))}
+              className="px-3 py-1.5 text-xs font-display uppercase tracking-wider rounded border
+                         border-steel-light/20 text-steel-light/60 hover:border-steel-light/50"
+            >
+              New
+            </button>
+          </div>
+          <div className="mt-2 text-xs text-steel-light/60">
+            The same seed gives the same map and the same dice. Enter a seed to replay a game.
+          </div>
+        </div>
+        
+        {/* Victory conditions */}
+        <div className="panel mb-6 sm:mb-8">
+          <div className="font-display text-sm tracking-wider uppercase text-steel-light mb-3">
+            Victory Conditions
+          </div>
+          <div className="space-y-2">
+            {Object.values(VICTORY_CONDITIONS).map(condition => (
+              <label
+                key={condition.id}
+                className="flex items-start gap-3 cursor-pointer"
+              >
+                <input
+                  type="checkbox"
+                  checked={victoryConditions.includes(condition.id)}
+                  onChange={() => toggleCondition(condition.id)}
+                  className="mt-1"
+                />
+                <div>
+                  <div className="text-sm text-steel-bright">{condition.name}</div>
+                  <div className="text-xs text-steel-light/60">{condition.description}</div>
+                </div>
+              </label>
+            ))}
+          </div>
+          {victoryConditions.length === 0 && (
+            <div className="mt-2 text-xs text-red-400">Enable at least one victory condition</div>
+          )}
+        </div>
+        
         {/* Confirm button */}
         <div className="flex justify-center pb-4 sm:pb-0">
           <button
             onClick={handleConfirm}
-            disabled={!selectedFaction}
+            disabled={!selectedFaction || victoryConditions.length === 0}
             className={`
               px-6 sm:px-8 py-2 sm:py-3 font-display text-xs sm:text-sm tracking-widest uppercase
               rounded border-2 transition-all duration-300
-              ${selectedFaction 
+              ${selectedFaction && victoryConditions.length > 0
                 ? 'border-current bg-current/10 hover:bg-current/20' 
                 : 'border-steel-light/20 text-steel-light/30 cursor-not-allowed'
               }
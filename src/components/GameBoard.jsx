@@ -8,11 +8,22 @@ import CombatModal from './CombatModal'
 import BuildMenu from './BuildMenu'
 import TrainMenu from './TrainMenu'
 import DiplomacyPanel from './DiplomacyPanel'
+import SaveLoadPanel from './SaveLoadPanel'
+import GameOverScreen from './GameOverScreen'
 import { useAI } from '../hooks/useAI'
 import { FACTIONS } from '../data/factions'
-import { UNITS } from '../data/units'
+import { UNITS, VETERANCY_LEVELS, DOCTRINES } from '../data/units'
 import { BUILDINGS } from '../data/terrain'
 import { hexId } from '../utils/hexMath'
+import { canUndo, canRedo } from '../engine/commandLog'
+import { calculateEconomy } from '../engine/economy'
+import { calculateSupply } from '../engine/supply'
+import { calculateOpinion } from '../engine/diplomacy'
+import { findPath, planPathTurns } from '../engine/movement'
+import { getKnownHex } from '../engine/visibility'
+import { getHealRate, getReinforceCost, getReinforceBlocker } from '../engine/healing'
+import { createReplay } from '../engine/replay'
+import { downloadReplay } from '../utils/replayFile'
 
 // Phase definitions
 const PHASES = {
@@ -24,7 +35,16 @@ const PHASES = {
 
 const PHASE_ORDER = ['production', 'diplomacy', 'movement', 'combat']
 
-export default function GameBoard({ state, actions, dispatch }) {
+// How a siege or attrition engagement ended
+const SIEGE_OUTCOMES = {
+  resolved: 'fought out',
+  relieved: 'lifted by relief',
+  abandoned: 'abandoned',
+  peace: 'called off by peace',
+  evacuated: 'ended, the hex was left empty',
+}
+
+export default function GameBoard({ state, actions, dispatch, onWatchReplay, onNewGame }) {
   const {
     turn,
     phase,
@@ -41,12 +61,21 @@ export default function GameBoard({ state, actions, dispatch }) {
     buildingQueue = [],
     trainingQueue = [],
     relations,
+    gameOver,
+    winner,
+    victory,
   } = state
 
   // Local UI state
   const [activePanel, setActivePanel] = useState(null) // 'info' | 'build' | 'train' | null
   const [showDiplomacy, setShowDiplomacy] = useState(false)
+  const [showSaves, setShowSaves] = useState(false)
   const [aiThinking, setAiThinking] = useState(false)
+  const [showResults, setShowResults] = useState(true)
+  const [showEconomy, setShowEconomy] = useState(false)
+  const [showSupply, setShowSupply] = useState(false)
+  const [plannedRoute, setPlannedRoute] = useState(null) // { q, r } awaiting confirmation
+  const [promotionNotice, setPromotionNotice] = useState(null)
 
   // Faction data
   const factionData = FACTIONS[playerFaction] || {}
@@ -55,28 +84,39 @@ export default function GameBoard({ state, actions, dispatch }) {
   // AI hook
   const { processAllAI } = useAI?.(state, dispatch) || { processAllAI: async () => {} }
 
-  // Process AI on movement phase
+  // AI factions act at the start of every phase; commands outside their
+  // phase are rejected, so the player waits for them before moving on
   useEffect(() => {
-    if (phase === 'movement' && !aiThinking) {
-      setAiThinking(true)
-      const timer = setTimeout(() => {
-        processAllAI?.().finally(() => setAiThinking(false))
-      }, 500)
-      return () => clearTimeout(timer)
-    }
+    if (gameOver) return
+    setAiThinking(true)
+    const timer = setTimeout(() => {
+      processAllAI?.(phase).finally(() => setAiThinking(false))
+    }, 500)
+    return () => clearTimeout(timer)
   }, [phase, turn])
 
+  // End Turn steps through the remaining phases, letting the AI act in each
+  const [endingTurn, setEndingTurn] = useState(false)
+  useEffect(() => {
+    if (endingTurn && !aiThinking && !gameOver) actions.advancePhase()
+  }, [endingTurn, aiThinking])
+  useEffect(() => setEndingTurn(false), [turn])
+
   // Selected hex data
   const selectedHexData = useMemo(() => {
     if (!selectedHex) return null
     return mapData[selectedHex] || null
   }, [selectedHex, mapData])
 
-  // Units on selected hex
+  // Units on selected hex (enemies only while the player can see the hex)
   const unitsOnSelectedHex = useMemo(() => {
     if (!selectedHexData) return []
-    return units.filter(u => u.q === selectedHexData.q && u.r === selectedHexData.r)
-  }, [selectedHexData, units])
+    const hexVisible = Boolean(selectedHexData.visible?.[playerFaction])
+    return units.filter(u =>
+      u.q === selectedHexData.q && u.r === selectedHexData.r &&
+      (u.owner === playerFaction || hexVisible)
+    )
+  }, [selectedHexData, units, playerFaction])
 
   // Selected unit object
   const selectedUnitData = useMemo(() => {
@@ -91,6 +131,8 @@ export default function GameBoard({ state, actions, dispatch }) {
   const canTrain = phase === 'production' && isPlayerHex
   const unmovedUnits = units.filter(u => u.owner === playerFaction && !u.movedThisTurn)
   const hasEnemiesInRange = validAttacks.length > 0
+  const undoAvailable = !aiThinking && canUndo(state, playerFaction)
+  const redoAvailable = !aiThinking && canRedo(state, playerFaction)
 
   // Territory count
   const territoryCount = useMemo(() => {
@@ -98,6 +140,86 @@ export default function GameBoard({ state, actions, dispatch }) {
   }, [mapData, playerFaction])
   const totalHexes = Object.keys(mapData).length
 
+  // Per-turn income and costs for the header breakdown
+  const economy = useMemo(
+    () => calculateEconomy(state, playerFaction),
+    [mapData, units, turn, playerFaction]
+  )
+  const netGold = Math.floor(economy.net.gold)
+  const economyReport = state.economyReports?.[playerFaction]
+
+  // Live supply coverage for the map overlay
+  const supplyLevels = useMemo(
+    () => showSupply ? calculateSupply(mapData, playerFaction) : null,
+    [showSupply, mapData, playerFaction]
+  )
+  const supplyLosses = state.supplyLosses?.[playerFaction] || 0
+  const engagements = state.engagements || []
+  const intel = state.intel?.[playerFaction] || {}
+
+  // Sieges involving the player that ended last turn
+  const siegeReports = (state.siegeReports || []).filter(report =>
+    report.attackerOwner === playerFaction || report.defenderOwner === playerFaction
+  )
+
+  // AI moves against the player this turn: wars declared on it
+  const warDeclarations = (state.diplomaticLog || []).filter(event =>
+    event.targetFaction === playerFaction && event.actionType === 'declare_war' && event.success && event.turn === state.turn
+  )
+
+  // What each AI faction thinks of the player, for the Diplomacy panel
+  const opinions = useMemo(() => {
+    if (!showDiplomacy) return {}
+    return Object.fromEntries(Object.keys(FACTIONS)
+      .filter(id => id !== playerFaction)
+      .map(id => [id, calculateOpinion(state, id, playerFaction).opinion]))
+  }, [showDiplomacy, state, playerFaction])
+
+  // Explain why the player's last command was turned away
+  const [rejectionNotice, setRejectionNotice] = useState(null)
+  useEffect(() => {
+    if (state.lastRejection?.faction !== playerFaction) return
+    setRejectionNotice(state.lastRejection)
+    const timer = setTimeout(() => setRejectionNotice(null), 3000)
+    return () => clearTimeout(timer)
+  }, [state.lastRejection])
+
+  // Announce the player's newest promotion for a few seconds
+  const playerPromotions = (state.promotions || []).filter(p => p.owner === playerFaction)
+  useEffect(() => {
+    if (playerPromotions.length === 0) return
+    setPromotionNotice(playerPromotions[playerPromotions.length - 1])
+    const timer = setTimeout(() => setPromotionNotice(null), 4000)
+    return () => clearTimeout(timer)
+  }, [playerPromotions.length])
+
+  // Healing and reinforcement for the selected unit
+  const healRate = selectedUnitData ? getHealRate(state, selectedUnitData) : 0
+  const reinforcement = selectedUnitData?.owner === playerFaction ? getReinforceCost(selectedUnitData) : null
+  const reinforceBlocker = reinforcement ? getReinforceBlocker(state, selectedUnitData) : null
+
+  // A new selection discards any unconfirmed route
+  useEffect(() => {
+    setPlannedRoute(null)
+  }, [selectedUnit])
+
+  // Route preview for the selected unit: the planned destination or its standing order
+  const route = useMemo(() => {
+    const target = plannedRoute || selectedUnitData?.moveOrder
+    if (!selectedUnitData || !target) return null
+    const path = findPath(state, selectedUnitData, target.q, target.r)
+    if (!path) return null
+    // Units that already moved start their route next turn
+    const turnOffset = selectedUnitData.movedThisTurn ? 1 : 0
+    return {
+      from: { q: selectedUnitData.q, r: selectedUnitData.r },
+      steps: planPathTurns(selectedUnitData, path).map(step => ({ ...step, turn: step.turn + turnOffset })),
+      color: factionData.color,
+      confirmed: !plannedRoute,
+    }
+  }, [plannedRoute, selectedUnitData, mapData, units, turn])
+  const routeTurns = route ? route.steps[route.steps.length - 1].turn : 0
+
   // ============================================
   // ACTION PROMPT SYSTEM - The key UX feature
   // ============================================
@@ -114,6 +236,11 @@ export default function GameBoard({ state, actions, dispatch }) {
       return { text: 'Resolve the combat or cancel', type: 'combat', icon: '⚔' }
     }
 
+    // Route waiting for confirmation
+    if (plannedRoute && route) {
+      return { text: `Route takes ${routeTurns} turn(s). Tap the destination again to confirm`, type: 'move', icon: '➤' }
+    }
+
     // Phase-specific prompts
     switch (phase) {
       case 'production':
@@ -138,8 +265,11 @@ export default function GameBoard({ state, actions, dispatch }) {
         if (selectedHex && !hasPlayerUnits) {
           return { text: 'No units here. Tap a hex with YOUR units', type: 'wrong', icon: '⚠' }
         }
+        if (selectedUnitData?.moveOrder && route) {
+          return { text: `Under orders: arriving in ${routeTurns} turn(s)`, type: 'move', icon: '➤' }
+        }
         if (selectedUnit && validMoves.length > 0) {
-          return { text: `Tap a GREEN hex to move (${validMoves.length} options)`, type: 'move', icon: '➤' }
+          return { text: `Tap a GREEN hex to move, or any hex to plan a route`, type: 'move', icon: '➤' }
         }
         if (selectedUnit && validMoves.length === 0 && validAttacks.length === 0) {
           return { text: 'This unit has no moves. Select another or NEXT PHASE', type: 'done', icon: '✓' }
@@ -160,7 +290,7 @@ export default function GameBoard({ state, actions, dispatch }) {
     }
 
     return { text: 'Tap NEXT PHASE to continue', type: 'default', icon: '→' }
-  }, [phase, selectedHex, selectedUnit, isPlayerHex, hasPlayerUnits, validMoves, validAttacks, unmovedUnits, pendingCombat, aiThinking])
+  }, [phase, selectedHex, selectedUnit, selectedUnitData, isPlayerHex, hasPlayerUnits, validMoves, validAttacks, unmovedUnits, pendingCombat, aiThinking, plannedRoute, route, routeTurns])
 
   // Prompt colors
   const promptColors = {
@@ -198,6 +328,20 @@ export default function GameBoard({ state, actions, dispatch }) {
       return
     }
     
+    // Any other hex plans a route: the first tap previews it, the second confirms
+    const ownUnitThere = units.some(u => u.q === q && u.r === r && u.owner === playerFaction)
+    if (phase === 'movement' && selectedUnitData && !ownUnitThere) {
+      if (plannedRoute?.q === q && plannedRoute?.r === r) {
+        actions.setMoveOrder(q, r)
+        setPlannedRoute(null)
+        return
+      }
+      if (findPath(state, selectedUnitData, q, r)) {
+        setPlannedRoute({ q, r })
+        return
+      }
+    }
+    
     // Otherwise, select the hex
     actions.selectHex(q, r)
     
@@ -205,7 +349,7 @@ export default function GameBoard({ state, actions, dispatch }) {
     if (window.innerWidth < 768) {
       setActivePanel('info')
     }
-  }, [selectedUnit, validMoves, validAttacks, units, playerFaction, actions])
+  }, [state, phase, selectedUnit, selectedUnitData, validMoves, validAttacks, units, playerFaction, plannedRoute, actions])
 
   const handleBuild = useCallback((buildingType) => {
     if (!selectedHex || !isPlayerHex) return
@@ -217,6 +361,24 @@ export default function GameBoard({ state, actions, dispatch }) {
     actions.startTraining?.(selectedHex, unitType, playerFaction)
   }, [selectedHex, isPlayerHex, playerFaction, actions])
 
+  const handleWatchReplay = useCallback(() => {
+    try {
+      onWatchReplay?.(createReplay(state))
+      return true
+    } catch (e) {
+      return false
+    }
+  }, [state, onWatchReplay])
+
+  const handleExportReplay = useCallback(() => {
+    try {
+      downloadReplay(state)
+      return true
+    } catch (e) {
+      return false
+    }
+  }, [state])
+
   const handleCombatResolve = useCallback((result) => {
     actions.resolveCombat?.(result)
   }, [actions])
@@ -242,19 +404,38 @@ export default function GameBoard({ state, actions, dispatch }) {
           
           {/* Resources - compact on mobile */}
           <div className="flex items-center gap-3 text-xs font-mono">
-            <span className="text-yellow-400">◈{resources.gold}</span>
+            <button
+              onClick={() => setShowEconomy(!showEconomy)}
+              className="text-yellow-400"
+              title="Income breakdown"
+            >
+              ◈{resources.gold}
+              <span className={netGold < 0 ? 'text-red-400' : 'text-green-400'}>
+                {netGold >= 0 ? '+' : ''}{netGold}
+              </span>
+              {(economyReport?.deficit || economyReport?.starving) && <span className="text-red-400">⚠</span>}
+            </button>
             <span className="text-steel-light">⬡{resources.iron}</span>
             <span className="text-green-400">❋{resources.grain}</span>
+            <span className="text-purple-400">✧{resources.influence || 0}</span>
           </div>
           
           {/* Turn/Territory */}
-          <div className="text-xs font-mono text-steel-light/70">
+          <div className="text-xs font-mono text-steel-light/70" title={`Seed ${state.seed}`}>
             <span className="hidden sm:inline">Turn {turn} • </span>
             <span style={{ color: factionData.color }}>{territoryCount}</span>
             <span className="text-steel-light/50">/{totalHexes}</span>
           </div>
         </div>
       </header>
+      
+      {showEconomy && (
+        <EconomyBreakdown
+          economy={economy}
+          report={economyReport}
+          onClose={() => setShowEconomy(false)}
+        />
+      )}
 
       {/* ===== PHASE BAR with ACTION PROMPT ===== */}
       <div className="flex-none bg-void-900/80 border-b border-steel-light/10">
@@ -285,6 +466,36 @@ export default function GameBoard({ state, actions, dispatch }) {
           
           {/* Phase controls */}
           <div className="flex items-center gap-2">
+            <button
+              onClick={() => setShowSaves(true)}
+              className="px-2 py-1.5 text-xs font-display uppercase tracking-wider
+                         bg-steel/30 text-steel-light border border-steel-light/30 rounded
+                         active:bg-steel/50"
+              title="Save / Load"
+            >
+              💾
+            </button>
+            <button
+              onClick={actions.undo}
+              disabled={!undoAvailable}
+              className="px-2 py-1.5 text-xs font-display uppercase tracking-wider
+                         bg-steel/30 text-steel-light border border-steel-light/30 rounded
+                         active:bg-steel/50 disabled:opacity-30"
+              title="Undo"
+            >
+              ↶
+            </button>
+            {redoAvailable && (
+              <button
+                onClick={actions.redo}
+                className="px-2 py-1.5 text-xs font-display uppercase tracking-wider
+                           bg-steel/30 text-steel-light border border-steel-light/30 rounded
+                           active:bg-steel/50"
+                title="Redo"
+              >
+                ↷
+              </button>
+            )}
             {phase === 'diplomacy' && (
               <button
                 onClick={() => setShowDiplomacy(true)}
@@ -297,17 +508,19 @@ export default function GameBoard({ state, actions, dispatch }) {
             )}
             <button
               onClick={actions.advancePhase}
+              disabled={gameOver || aiThinking}
               className="px-3 py-1.5 text-xs font-display uppercase tracking-wider
                          bg-continuity/30 text-continuity border border-continuity/50 rounded
-                         active:bg-continuity/50"
+                         active:bg-continuity/50 disabled:opacity-30"
             >
               Next
             </button>
             <button
-              onClick={actions.endTurn}
+              onClick={() => setEndingTurn(true)}
+              disabled={gameOver || aiThinking || endingTurn}
               className="px-3 py-1.5 text-xs font-display uppercase tracking-wider
                          bg-warning/20 text-warning border border-warning/50 rounded
-                         active:bg-warning/40"
+                         active:bg-warning/40 disabled:opacity-30"
             >
               End Turn
             </button>
@@ -321,6 +534,15 @@ export default function GameBoard({ state, actions, dispatch }) {
           <div className="flex items-center gap-2 text-sm">
             <span className="text-lg">{actionPrompt.icon}</span>
             <span className="text-white font-medium">{actionPrompt.text}</span>
+            {selectedUnitData?.moveOrder && !plannedRoute && (
+              <button
+                onClick={() => actions.cancelMoveOrder(selectedUnitData.id)}
+                className="ml-auto px-2 py-1 text-[10px] font-display uppercase tracking-wider
+                           bg-red-900/50 text-red-400 border border-red-500/50 rounded active:bg-red-800"
+              >
+                Cancel Order
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -334,9 +556,68 @@ export default function GameBoard({ state, actions, dispatch }) {
           validMoves={validMoves}
           validAttacks={validAttacks}
           playerFaction={playerFaction}
+          supplyLevels={supplyLevels}
+          route={route}
+          engagements={engagements}
+          intel={intel}
           onHexClick={handleHexClick}
         />
         
+        {/* Supply overlay toggle */}
+        <button
+          onClick={() => setShowSupply(!showSupply)}
+          className={`absolute top-2 left-2 px-2 py-1 text-[10px] font-display uppercase tracking-wider
+                      rounded border ${showSupply
+                        ? 'bg-cyan-900/60 text-cyan-300 border-cyan-500/60'
+                        : 'bg-void-900/80 text-steel-light/70 border-steel-light/30'}`}
+        >
+          Supply
+        </button>
+        <div className="absolute top-9 left-2 flex flex-col gap-1 pointer-events-none">
+          {supplyLosses > 0 && (
+            <div className="px-2 py-1 text-[10px] font-mono rounded bg-red-900/60 text-red-300">
+              {supplyLosses} unit(s) lost to attrition
+            </div>
+          )}
+          {siegeReports.map(report => (
+            <div
+              key={`${report.q},${report.r}`}
+              className="px-2 py-1 text-[10px] font-mono rounded bg-orange-900/60 text-orange-200"
+            >
+              {DOCTRINES[report.doctrine]?.name || report.doctrine} at {report.q},{report.r}{' '}
+              {SIEGE_OUTCOMES[report.outcome]}
+            </div>
+          ))}
+          {warDeclarations.map(event => (
+            <div
+              key={`war-${event.faction}`}
+              className="px-2 py-1 text-[10px] font-mono rounded bg-red-900/60 text-red-300"
+            >
+              {FACTIONS[event.faction]?.name || event.faction} declared war on you
+            </div>
+          ))}
+        </div>
+        
+        {/* Promotion notice */}
+        {promotionNotice && (
+          <div className="absolute top-2 left-1/2 -translate-x-1/2 px-3 py-1.5 rounded border
+                          bg-yellow-900/70 border-yellow-500/60 text-yellow-200 text-xs font-display
+                          tracking-wider pointer-events-none animate-fade-in">
+            {VETERANCY_LEVELS[promotionNotice.to.toUpperCase()]?.icon}{' '}
+            {UNITS[promotionNotice.unitType]?.name || promotionNotice.unitType} promoted to{' '}
+            {VETERANCY_LEVELS[promotionNotice.to.toUpperCase()]?.name || promotionNotice.to}
+          </div>
+        )}
+        
+        {/* Rejected command notice */}
+        {rejectionNotice && (
+          <div className="absolute bottom-2 left-1/2 -translate-x-1/2 px-3 py-1.5 rounded border
+                          bg-red-900/70 border-red-500/60 text-red-200 text-xs font-mono
+                          pointer-events-none animate-fade-in">
+            {rejectionNotice.message}
+          </div>
+        )}
+        
         {/* AI thinking overlay */}
         {aiThinking && (
           <div className="absolute inset-0 bg-void-950/70 flex items-center justify-center pointer-events-none">
@@ -354,6 +635,33 @@ export default function GameBoard({ state, actions, dispatch }) {
             {validAttacks.length > 0 && (
               <div className="text-red-400">Targets: {validAttacks.length}</div>
             )}
+            <div className="text-steel-light">
+              HP: {selectedUnitData.health}%
+              {selectedUnitData.health < 100 && (
+                healRate > 0
+                  ? <span className="text-green-400/80"> +{healRate}/turn</span>
+                  : <span className="text-red-400/80"> no healing</span>
+              )}
+            </div>
+            {reinforcement && (
+              <button
+                onClick={() => actions.reinforceUnit(selectedUnitData.id)}
+                disabled={Boolean(reinforceBlocker)}
+                title={reinforceBlocker || 'Restore to full health'}
+                className={`mt-1 w-full px-2 py-1 text-[10px] font-display uppercase tracking-wider rounded border
+                            ${reinforceBlocker
+                              ? 'bg-steel/20 text-steel-light/40 border-steel-light/20 cursor-not-allowed'
+                              : 'bg-green-900/50 text-green-400 border-green-500/50 active:bg-green-800'}`}
+              >
+                Reinforce {reinforcement.cost.gold || 0}◈ {reinforcement.cost.iron || 0}⬡
+                {reinforcement.experienceLoss > 0 && (
+                  <span className="normal-case text-yellow-400/80"> -{reinforcement.experienceLoss} XP</span>
+                )}
+              </button>
+            )}
+            {reinforcement && reinforceBlocker && (
+              <div className="text-[10px] text-steel-light/50">{reinforceBlocker}</div>
+            )}
           </div>
         )}
       </div>
@@ -403,6 +711,7 @@ export default function GameBoard({ state, actions, dispatch }) {
                 hex={selectedHexData} 
                 units={unitsOnSelectedHex}
                 playerFaction={playerFaction}
+                lastSeen={selectedHex && !selectedHexData?.visible?.[playerFaction] ? intel[selectedHex] : null}
               />
             )}
             {activePanel === 'build' && canBuild && (
@@ -438,8 +747,12 @@ export default function GameBoard({ state, actions, dispatch }) {
         <CombatModal
           attacker={pendingCombat.attacker}
           defender={pendingCombat.defender}
+          attackers={pendingCombat.attackers}
+          defenders={pendingCombat.defenders}
+          units={units}
           terrain={pendingCombat.terrain}
           hexBuildings={pendingCombat.hexBuildings}
+          fortificationDamage={pendingCombat.fortificationDamage}
           playerFaction={playerFaction}
           onResolve={handleCombatResolve}
           onCancel={actions.cancelCombat}
@@ -451,10 +764,45 @@ export default function GameBoard({ state, actions, dispatch }) {
           playerFaction={playerFaction}
           relations={relations}
           playerResources={resources}
+          lastDiplomaticResult={state.lastDiplomaticResult}
+          opinions={opinions}
+          diplomaticLog={state.diplomaticLog}
           onDiplomaticAction={actions.performDiplomaticAction}
           onClose={() => setShowDiplomacy(false)}
         />
       )}
+      
+      {gameOver && showResults && (
+        <GameOverScreen
+          winner={winner}
+          victory={victory}
+          playerFaction={playerFaction}
+          onWatchReplay={onWatchReplay ? handleWatchReplay : null}
+          onNewGame={onNewGame}
+          onViewMap={() => setShowResults(false)}
+        />
+      )}
+      
+      {gameOver && !showResults && (
+        <button
+          onClick={() => setShowResults(true)}
+          className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 px-4 py-2 text-xs font-display
+                     uppercase tracking-wider bg-void-900 text-steel-bright border border-steel-light/40
+                     rounded active:bg-steel/50"
+        >
+          Game Over • Results
+        </button>
+      )}
+      
+      {showSaves && (
+        <SaveLoadPanel
+          onSave={actions.saveGame}
+          onLoad={actions.loadGame}
+          onWatchReplay={handleWatchReplay}
+          onExportReplay={handleExportReplay}
+          onClose={() => setShowSaves(false)}
+        />
+      )}
     </div>
   )
 }
@@ -463,6 +811,66 @@ export default function GameBoard({ state, actions, dispatch }) {
 // SUB-COMPONENTS
 // ============================================
 
+function EconomyBreakdown({ economy, report, onClose }) {
+  const { territory, buildings, bonus, upkeep, maintenance, population, net } = economy
+  const goldRows = [
+    { label: 'Territory', value: territory.gold },
+    { label: 'Buildings', value: buildings.gold || 0 },
+    { label: 'Faction bonus', value: bonus.gold || 0 },
+    { label: 'Unit upkeep', value: -(upkeep.gold || 0) },
+    { label: 'Maintenance', value: -(maintenance.gold || 0) },
+  ]
+  const grainRows = [
+    { label: 'Harvest', value: territory.grain + (buildings.grain || 0) },
+    { label: 'Army rations', value: -(upkeep.grain || 0) },
+    { label: 'Population', value: -(population.grain || 0) },
+  ]
+  const influence = buildings.influence || 0
+  
+  const renderRows = (rows, icon) => rows.map(({ label, value }) => (
+    <div key={label} className="flex justify-between">
+      <span className="text-steel-light/60">{label}</span>
+      <span className={value < 0 ? 'text-red-400' : 'text-steel-light'}>
+        {value >= 0 ? '+' : ''}{Math.floor(value)}{icon}
+      </span>
+    </div>
+  ))
+  
+  return (
+    <div
+      className="flex-none px-3 py-2 bg-void-900 border-b border-steel-light/20 text-xs font-mono"
+      onClick={onClose}
+    >
+      {renderRows(goldRows, '◈')}
+      <div className="mt-1 pt-1 border-t border-steel-light/10">
+        {renderRows(grainRows, '❋')}
+      </div>
+      <div className="flex justify-between mt-1 pt-1 border-t border-steel-light/20">
+        <span className="text-steel-bright">Net per turn</span>
+        <span className={net.gold < 0 ? 'text-red-400' : 'text-green-400'}>
+          {net.gold >= 0 ? '+' : ''}{Math.floor(net.gold)}◈
+          <span className="text-steel-light"> {net.iron >= 0 ? '+' : ''}{Math.floor(net.iron)}⬡</span>
+          <span className={net.grain < 0 ? 'text-red-400' : 'text-green-400'}> {net.grain >= 0 ? '+' : ''}{Math.floor(net.grain)}❋</span>
+          <span className="text-purple-400"> +{Math.floor(influence)}✧</span>
+        </span>
+      </div>
+      {report?.deficit && (
+        <div className="mt-1 text-red-400">
+          Treasury ran dry last turn: morale fell
+          {report.buildingsOffline > 0 && `, ${report.buildingsOffline} building(s) went offline`}
+          {report.deserted > 0 && `, ${report.deserted} unit(s) deserted`}
+        </div>
+      )}
+      {report?.starving && (
+        <div className="mt-1 text-red-400">
+          Granaries empty: armies are starving and territory yields are halved
+          {report.starved > 0 && `, ${report.starved} unit(s) lost`}
+        </div>
+      )}
+    </div>
+  )
+}
+
 function TabButton({ label, active, disabled, badge, onClick }) {
   return (
     <button
@@ -491,7 +899,7 @@ function TabButton({ label, active, disabled, badge, onClick }) {
   )
 }
 
-function InfoPanel({ hex, units, playerFaction }) {
+function InfoPanel({ hex, units, playerFaction, lastSeen }) {
   if (!hex) {
     return (
       <div className="text-center text-steel-light/50 py-4">
@@ -501,8 +909,11 @@ function InfoPanel({ hex, units, playerFaction }) {
     )
   }
   
-  const owner = hex.owner ? FACTIONS[hex.owner] : null
+  // Out of sight, only the owner last seen is known, and no structures
+  const known = getKnownHex(hex, playerFaction, lastSeen)
+  const owner = known.owner ? FACTIONS[known.owner] : null
   const isOwned = hex.owner === playerFaction
+  const showBuildings = known.inSight
   
   return (
     <div className="space-y-3">
@@ -529,7 +940,7 @@ function InfoPanel({ hex, units, playerFaction }) {
       </div>
       
       {/* Buildings */}
-      {hex.buildings?.length > 0 && (
+      {showBuildings && hex.buildings?.length > 0 && (
         <div>
           <div className="text-xs text-steel-light/50 mb-1">Buildings:</div>
           <div className="flex flex-wrap gap-1">
@@ -542,6 +953,29 @@ function InfoPanel({ hex, units, playerFaction }) {
         </div>
       )}
       
+      {/* Last-known enemy presence on a hex out of sight */}
+      {lastSeen && (
+        <div className="opacity-70">
+          <div className="text-xs text-steel-light/50 mb-1">Last seen turn {lastSeen.turn}:</div>
+          <div className="flex flex-wrap gap-1">
+            {lastSeen.units.map(unit => (
+              <span
+                key={unit.id}
+                className="text-xs px-2 py-0.5 rounded border border-dashed"
+                style={{ borderColor: FACTIONS[unit.owner]?.color, color: FACTIONS[unit.owner]?.color }}
+              >
+                {UNITS[unit.type]?.name || unit.type}
+              </span>
+            ))}
+            {lastSeen.buildings.map((b, i) => (
+              <span key={i} className="text-xs bg-steel/20 px-2 py-0.5 rounded border border-dashed border-steel-light/30">
+                {BUILDINGS[b]?.name || b}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+      
       {/* Units */}
       {units.length > 0 && (
         <div>
@@ -0,0 +1,111 @@
+// GameOverScreen.jsx - End-of-game results
+// Shows the winning faction, the condition met and the final standings
+
+import { FACTIONS } from '../data/factions'
+import { VICTORY_CONDITIONS } from '../data/mapData'
+
+export default function GameOverScreen({ winner, victory, playerFaction, onWatchReplay, onNewGame, onViewMap }) {
+  const winnerFaction = FACTIONS[winner]
+  const condition = VICTORY_CONDITIONS[victory?.condition]
+  const playerWon = winner === playerFaction
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-void-950/90">
+      <div
+        className="w-full max-w-md max-h-[90vh] bg-void-900 border-2 rounded-lg flex flex-col overflow-hidden"
+        style={{ borderColor: winnerFaction?.color }}
+      >
+        {/* Outcome */}
+        <div className="flex-none px-4 py-6 text-center border-b border-steel-light/20">
+          <div className={`font-display text-2xl tracking-[0.3em] mb-2 ${
+            playerWon ? 'text-green-400' : 'text-red-400'
+          }`}>
+            {playerWon ? 'VICTORY' : 'DEFEAT'}
+          </div>
+          <div className="text-lg" style={{ color: winnerFaction?.color }}>
+            {winnerFaction?.emblem} {winnerFaction?.name || winner}
+          </div>
+          {condition && (
+            <div className="mt-2 text-sm text-steel-light/70">
+              <span className="text-steel-bright">{condition.name}</span>
+              <span className="text-steel-light/50"> • {condition.description}</span>
+            </div>
+          )}
+          {victory && (
+            <div className="mt-1 text-xs font-mono text-steel-light/40">Decided on turn {victory.turn}</div>
+          )}
+        </div>
+
+        {/* Final standings */}
+        <div
+          className="flex-1 overflow-y-auto p-4"
+          style={{ WebkitOverflowScrolling: 'touch' }}
+        >
+          <div className="text-xs uppercase tracking-wider text-steel-light/50 mb-2">Final Standings</div>
+          <table className="w-full text-xs font-mono">
+            <thead>
+              <tr className="text-steel-light/40">
+                <th className="text-left font-normal pb-1">#</th>
+                <th className="text-left font-normal pb-1">Faction</th>
+                <th className="text-right font-normal pb-1">⬢</th>
+                <th className="text-right font-normal pb-1">⚔</th>
+                <th className="text-right font-normal pb-1">◈</th>
+              </tr>
+            </thead>
+            <tbody>
+              {(victory?.standings || []).map(entry => {
+                const faction = FACTIONS[entry.factionId]
+                return (
+                  <tr
+                    key={entry.factionId}
+                    className={entry.factionId === playerFaction ? 'bg-steel/20' : ''}
+                  >
+                    <td className="py-1 text-steel-light/50">{entry.rank}</td>
+                    <td className="py-1" style={{ color: faction?.color }}>
+                      {faction?.emblem} {faction?.name || entry.factionId}
+                    </td>
+                    <td className="py-1 text-right text-steel-light">{entry.territory}</td>
+                    <td className="py-1 text-right text-steel-light">{entry.units}</td>
+                    <td className="py-1 text-right text-yellow-400">{entry.gold}</td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Actions */}
+        <div className="flex-none p-4 border-t border-steel-light/20 space-y-2">
+          <div className="flex gap-2">
+            {onWatchReplay && (
+              <button
+                onClick={onWatchReplay}
+                className="flex-1 py-2 text-xs font-display uppercase tracking-wider
+                           bg-purple-900/50 text-purple-300 border border-purple-500/50 rounded
+                           active:bg-purple-800"
+              >
+                Watch Replay
+              </button>
+            )}
+            <button
+              onClick={onViewMap}
+              className="flex-1 py-2 text-xs font-display uppercase tracking-wider
+                         bg-steel/30 text-steel-light border border-steel-light/30 rounded
+                         active:bg-steel/50"
+            >
+              View Map
+            </button>
+          </div>
+          <button
+            onClick={onNewGame}
+            className="w-full py-2.5 text-sm font-display uppercase tracking-wider
+                       bg-continuity/30 text-continuity border border-continuity/50 rounded
+                       active:bg-continuity/50"
+          >
+            New Game
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -2,7 +2,9 @@
 
 import { TERRAIN_TYPES, BUILDINGS } from '../data/terrain'
 import { FACTIONS } from '../data/factions'
-import { UNITS, VETERANCY_LEVELS, getBranchColor } from '../data/units'
+import { UNITS, VETERANCY_LEVELS, EXPERIENCE_THRESHOLDS, getBranchColor, DOCTRINES } from '../data/units'
+import { getStackLimit } from '../engine/stacks'
+import { getKnownHex } from '../engine/visibility'
 import { 
   getFactionImage, 
   getTerrainImage, 
@@ -19,6 +21,7 @@ function UnitCard({ unit }) {
   const factionImage = getFactionImage(unit.owner)
   const branchImage = getBranchImage(unitDef?.branch)
   const vetImage = getVeterancyImage(unit.veterancy)
+  const nextThreshold = Object.values(EXPERIENCE_THRESHOLDS).find(xp => xp > (unit.experience || 0))
   
   if (!unitDef) return null
   
@@ -62,6 +65,14 @@ function UnitCard({ unit }) {
             <span className="text-[10px]">{vetLevel.icon}</span>
           )}
           <span className="text-[10px] text-steel-light/60">{vetLevel.name}</span>
+          <span className="text-[10px] font-mono text-steel-light/40">
+            {unit.experience || 0}{nextThreshold ? `/${nextThreshold}` : ''} XP
+          </span>
+          {unit.veterancyBonus > 0 && (
+            <span className="text-[10px] text-yellow-400/70" title="Academy trained">
+              +{Math.round(unit.veterancyBonus * 100)}%
+            </span>
+          )}
         </div>
         <span className="text-[10px] text-steel-light/60">
           HP: {unit.health}%
@@ -79,12 +90,18 @@ function UnitCard({ unit }) {
         {!unit.movedThisTurn && !unit.attackedThisTurn && (
           <span className="text-success/70">Ready</span>
         )}
+        {unit.outOfSupply && (
+          <span className="text-danger">Out of supply</span>
+        )}
+        {unit.moveOrder && (
+          <span className="text-blue-400/80">Ordered to {unit.moveOrder.q},{unit.moveOrder.r}</span>
+        )}
       </div>
     </div>
   )
 }
 
-export default function HexInfoPanel({ hex, units, onClose }) {
+export default function HexInfoPanel({ hex, units, playerFaction, engagements = [], lastSeen = null, onClose }) {
   if (!hex) {
     return (
       <div className="panel h-full flex items-center justify-center">
@@ -95,10 +112,13 @@ export default function HexInfoPanel({ hex, units, onClose }) {
     )
   }
   
+  // Out of sight, only the owner last seen is known; buildings and sieges aren't
+  const known = getKnownHex(hex, playerFaction, lastSeen)
   const terrain = TERRAIN_TYPES[hex.terrain] || TERRAIN_TYPES.plains
-  const owner = hex.owner ? FACTIONS[hex.owner] : null
+  const owner = known.owner ? FACTIONS[known.owner] : null
   const terrainImage = getTerrainImage(hex.terrain)
-  const ownerImage = owner ? getFactionImage(hex.owner) : null
+  const ownerImage = owner ? getFactionImage(known.owner) : null
+  const siege = known.inSight && engagements.find(e => e.q === hex.q && e.r === hex.r)
   
   return (
     <div className="panel h-full overflow-y-auto">
@@ -165,9 +185,12 @@ export default function HexInfoPanel({ hex, units, onClose }) {
             {hex.isCapital && (
               <span className="text-warning text-xs">★ Capital</span>
             )}
+            {!known.inSight && (
+              <span className="text-steel-light/50 text-xs">(last seen turn {lastSeen.turn})</span>
+            )}
           </div>
         ) : (
-          <span className="text-steel-light/50">Unclaimed</span>
+          <span className="text-steel-light/50">{known.inSight ? 'Unclaimed' : 'Unknown'}</span>
         )}
       </div>
       
@@ -230,11 +253,28 @@ export default function HexInfoPanel({ hex, units, onClose }) {
               <span className="text-reclaimers">{hex.resources.grain}</span>
             </div>
           )}
+          {terrain.population > 0 && (
+            <span className="text-steel-light/60">Eats {terrain.population} grain</span>
+          )}
         </div>
+        {known.inSight && hex.starving && (
+          <div className="mt-1 text-xs text-red-400">Starving: yields halved</div>
+        )}
+        {siege && (
+          <div className="mt-1 text-xs text-orange-400">
+            Under {DOCTRINES[siege.doctrine]?.name.toLowerCase() || siege.doctrine} by{' '}
+            {FACTIONS[siege.attackerOwner]?.name || siege.attackerOwner}: assault in {siege.turnsRemaining} turn(s)
+          </div>
+        )}
+        {known.inSight && hex.fortificationDamage > 0 && (
+          <div className="mt-1 text-xs text-orange-400">
+            Fortifications at {Math.round((1 - hex.fortificationDamage) * 100)}%
+          </div>
+        )}
       </div>
       
       {/* Buildings */}
-      {hex.buildings && hex.buildings.length > 0 && (
+      {known.inSight && hex.buildings && hex.buildings.length > 0 && (
         <div className="mb-4">
           <div className="text-xs text-steel-light/50 uppercase tracking-wider mb-2">
             Structures ({hex.buildings.length})
@@ -244,6 +284,9 @@ export default function HexInfoPanel({ hex, units, onClose }) {
               const building = BUILDINGS[buildingId]
               const buildingImage = getBuildingImage(buildingId)
               if (!building) return null
+              // Matches getActiveBuildings: the first copies of a building are the ones shut down
+              const copyIndex = hex.buildings.slice(0, idx).filter(b => b === buildingId).length
+              const offline = copyIndex < (hex.offlineBuildings || []).filter(b => b === buildingId).length
               return (
                 <div 
                   key={idx}
@@ -255,7 +298,9 @@ export default function HexInfoPanel({ hex, units, onClose }) {
                     )}
                     <span className="text-xs text-steel-bright">{building.name}</span>
                   </div>
-                  {building.production && Object.keys(building.production).length > 0 && (
+                  {offline ? (
+                    <span className="text-[10px] text-red-400">Offline (unpaid)</span>
+                  ) : building.production && Object.keys(building.production).length > 0 && (
                     <span className="text-[10px] text-success">
                       +{Object.entries(building.production).map(([r, a]) => `${a} ${r}`).join(', ')}
                     </span>
@@ -267,11 +312,36 @@ export default function HexInfoPanel({ hex, units, onClose }) {
         </div>
       )}
       
+      {/* Last-known enemy presence (hex out of sight) */}
+      {lastSeen && (
+        <div className="mb-4 opacity-70">
+          <div className="text-xs text-steel-light/50 uppercase tracking-wider mb-2">
+            Last seen turn {lastSeen.turn}
+          </div>
+          <div className="space-y-1">
+            {lastSeen.units.map(unit => (
+              <div
+                key={unit.id}
+                className="flex items-center justify-between p-2 rounded border border-dashed border-steel-light/20 text-xs"
+              >
+                <span style={{ color: FACTIONS[unit.owner]?.color }}>{UNITS[unit.type]?.name || unit.type}</span>
+                <span className="font-mono text-steel-light/60">{unit.health}%</span>
+              </div>
+            ))}
+            {lastSeen.buildings.map((buildingId, idx) => (
+              <div key={idx} className="p-2 rounded border border-dashed border-steel-light/20 text-xs text-steel-light/70">
+                {BUILDINGS[buildingId]?.name || buildingId}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+      
       {/* Units */}
       {units.length > 0 && (
         <div>
           <div className="text-xs text-steel-light/50 uppercase tracking-wider mb-2">
-            Units ({units.length})
+            Units ({units.length}/{getStackLimit(hex)})
           </div>
           <div className="space-y-2">
             {units.map(unit => (
@@ -4,6 +4,8 @@
 import { useMemo, useCallback, useState, useEffect } from 'react'
 import HexTile from './HexTile'
 import { hexId, axialToPixel } from '../utils/hexMath'
+import { FACTIONS } from '../data/factions'
+import { DOCTRINES } from '../data/units'
 
 const HEX_SIZE = 50
 
@@ -14,6 +16,10 @@ export default function HexMap({
   validMoves,
   validAttacks,
   playerFaction,
+  supplyLevels = null,
+  route = null,
+  engagements = [],
+  intel = {},
   onHexClick,
 }) {
   const [viewBox, setViewBox] = useState({ x: -300, y: -300, width: 600, height: 600 })
@@ -42,16 +48,25 @@ export default function HexMap({
     })
   }, [mapData])
   
-  // Group units by hex
+  // Simple visibility check with optional chaining
+  const getVisibility = useCallback((hex) => {
+    if (!playerFaction) return 'visible'
+    if (hex.visible?.[playerFaction]) return 'visible'
+    if (hex.explored?.[playerFaction]) return 'explored'
+    return 'unexplored'
+  }, [playerFaction])
+  
+  // Group units by hex; enemy units outside the player's vision stay hidden
   const unitsByHex = useMemo(() => {
     const grouped = {}
     units.forEach(unit => {
       const key = hexId(unit.q, unit.r)
+      if (unit.owner !== playerFaction && mapData[key] && getVisibility(mapData[key]) !== 'visible') return
       if (!grouped[key]) grouped[key] = []
       grouped[key].push(unit)
     })
     return grouped
-  }, [units])
+  }, [units, mapData, playerFaction, getVisibility])
   
   // Create Sets for quick lookup
   const validMoveSet = useMemo(() => 
@@ -64,14 +79,6 @@ export default function HexMap({
     [validAttacks]
   )
   
-  // Simple visibility check with optional chaining
-  const getVisibility = useCallback((hex) => {
-    if (!playerFaction) return 'visible'
-    if (hex.visible?.[playerFaction]) return 'visible'
-    if (hex.explored?.[playerFaction]) return 'explored'
-    return 'unexplored'
-  }, [playerFaction])
-  
   // Handle hex selection - called from HexTile
   const handleHexClick = useCallback((q, r) => {
     onHexClick?.(q, r)
@@ -133,12 +140,102 @@ export default function HexMap({
                 isValidAttack={validAttackSet.has(key)}
                 isPlayerOwned={hex.owner === playerFaction}
                 visibility={visibility}
+                supplyLevel={supplyLevels ? (supplyLevels[key] || 0) : undefined}
+                lastSeen={intel[key]}
                 onClick={handleHexClick}
               />
             )
           })}
         </g>
+        
+        {/* Sieges and attrition in progress */}
+        {engagements
+          .filter(e => mapData[hexId(e.q, e.r)] && getVisibility(mapData[hexId(e.q, e.r)]) === 'visible')
+          .map(engagement => (
+            <SiegeMarker key={engagement.id} engagement={engagement} units={Object.values(unitsByHex).flat()} />
+          ))}
+        
+        {/* Planned route */}
+        {route && <RouteOverlay route={route} />}
       </svg>
     </div>
   )
 }
+
+// Dashed line along a unit's route with a numbered marker where each turn ends
+function RouteOverlay({ route }) {
+  const { from, steps, color = '#55a870', confirmed } = route
+  const points = [from, ...steps].map(({ q, r }) => axialToPixel(q, r, HEX_SIZE))
+  
+  return (
+    <g style={{ pointerEvents: 'none' }}>
+      <polyline
+        points={points.map(p => `${p.x},${p.y}`).join(' ')}
+        fill="none"
+        stroke={color}
+        strokeWidth={3}
+        strokeDasharray={confirmed ? undefined : '8 5'}
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        opacity={0.85}
+      />
+      {steps.map((step, i) => {
+        if (!step.stop) return null
+        const { x, y } = points[i + 1]
+        return (
+          <g key={`${step.q},${step.r}`} transform={`translate(${x}, ${y})`}>
+            <circle r={9} fill="#0a0a12" stroke={color} strokeWidth={2} />
+            <text
+              y={3.5}
+              textAnchor="middle"
+              fontSize={10}
+              fontWeight="bold"
+              fill={color}
+            >
+              {step.turn}
+            </text>
+          </g>
+        )
+      })}
+    </g>
+  )
+}
+
+// Line from the besiegers to the invested hex, with the turns left to the assault
+function SiegeMarker({ engagement, units }) {
+  const besieger = units.find(u => u.id === engagement.attackerId)
+  if (!besieger) return null
+  
+  const color = FACTIONS[engagement.attackerOwner]?.color || '#c45555'
+  const from = axialToPixel(besieger.q, besieger.r, HEX_SIZE)
+  const { x, y } = axialToPixel(engagement.q, engagement.r, HEX_SIZE)
+  const label = DOCTRINES[engagement.doctrine]?.name || engagement.doctrine
+  
+  return (
+    <g style={{ pointerEvents: 'none' }}>
+      <line
+        x1={from.x}
+        y1={from.y}
+        x2={x}
+        y2={y}
+        stroke={color}
+        strokeWidth={2}
+        strokeDasharray="3 4"
+        opacity={0.8}
+      />
+      <g transform={`translate(${x + HEX_SIZE * 0.45}, ${y - HEX_SIZE * 0.45})`}>
+        <rect x={-16} y={-8} width={32} height={16} rx={3} fill="#0a0a12" stroke={color} strokeWidth={1.5} />
+        <text
+          y={3.5}
+          textAnchor="middle"
+          fontSize={9}
+          fontWeight="bold"
+          fontFamily="monospace"
+          fill={color}
+        >
+          {label.slice(0, 3).toUpperCase()} {engagement.turnsRemaining}
+        </text>
+      </g>
+    </g>
+  )
+}
@@ -5,6 +5,8 @@ import { memo, useMemo, useCallback } from 'react'
 import { axialToPixel, getHexPath } from '../utils/hexMath'
 import { TERRAIN_TYPES } from '../data/terrain'
 import { FACTIONS } from '../data/factions'
+import { UNITS, getBranchColor } from '../data/units'
+import { SUPPLY_THRESHOLD } from '../engine/supply'
 
 const HEX_SIZE = 50
 
@@ -16,11 +18,15 @@ function HexTile({
   isValidAttack,
   isPlayerOwned,
   visibility,
+  supplyLevel,
+  lastSeen,
   onClick,
 }) {
   const { q, r, terrain, owner, isCapital } = hex
   const terrainData = TERRAIN_TYPES[terrain] || TERRAIN_TYPES.plains
-  const factionData = owner ? FACTIONS[owner] : null
+  // Out of sight, a hex shows the owner last seen holding it, never the live one
+  const shownOwner = visibility === 'visible' || isPlayerOwned ? owner : lastSeen?.owner ?? null
+  const factionData = shownOwner ? FACTIONS[shownOwner] : null
   
   // Calculate pixel position
   const { x, y } = useMemo(() => axialToPixel(q, r, HEX_SIZE), [q, r])
@@ -31,19 +37,19 @@ function HexTile({
   // Colors
   const fillColor = useMemo(() => {
     if (visibility === 'unexplored') return '#0a0a12'
-    if (owner && factionData) {
+    if (factionData) {
       return factionData.color + '40' // 25% opacity faction overlay
     }
     return terrainData.color
-  }, [terrain, owner, factionData, terrainData, visibility])
+  }, [terrain, factionData, terrainData, visibility])
   
   const strokeColor = useMemo(() => {
     if (isSelected) return '#ffffff'
     if (isValidMove) return '#55a870'
     if (isValidAttack) return '#c45555'
-    if (owner && factionData) return factionData.color
+    if (factionData) return factionData.color
     return 'rgba(138, 155, 170, 0.3)'
-  }, [isSelected, isValidMove, isValidAttack, owner, factionData])
+  }, [isSelected, isValidMove, isValidAttack, factionData])
   
   const strokeWidth = isSelected ? 3 : (isValidMove || isValidAttack) ? 2.5 : 1
   
@@ -63,6 +69,11 @@ function HexTile({
     const unit = units[0]
     const unitFaction = FACTIONS[unit.owner]
     
+    // Stack composition: count per unit type, e.g. "2INF 1CAV"
+    const composition = Object.entries(
+      units.reduce((counts, u) => ({ ...counts, [u.type]: (counts[u.type] || 0) + 1 }), {})
+    )
+    
     return (
       <g transform={`translate(0, ${HEX_SIZE * 0.25})`} style={{ pointerEvents: 'none' }}>
         <circle
@@ -84,10 +95,73 @@ function HexTile({
         >
           {units.length}
         </text>
+        {units.length > 1 && (
+          <text
+            x={0}
+            y={19}
+            textAnchor="middle"
+            fontSize={8}
+            fontWeight="bold"
+            fontFamily="monospace"
+          >
+            {composition.map(([type, count], i) => (
+              <tspan key={type} fill={getBranchColor(UNITS[type]?.branch)}>
+                {i > 0 ? ' ' : ''}{count}{type.slice(0, 3).toUpperCase()}
+              </tspan>
+            ))}
+          </text>
+        )}
       </g>
     )
   }, [units, visibility])
   
+  // Ghost of the enemies last seen on an explored hex
+  const ghostDisplay = useMemo(() => {
+    if (!lastSeen || visibility !== 'explored' || units.length > 0) return null
+    const ghostFaction = FACTIONS[lastSeen.units[0]?.owner || lastSeen.owner]
+    
+    return (
+      <g transform={`translate(0, ${HEX_SIZE * 0.25})`} opacity={0.45} style={{ pointerEvents: 'none' }}>
+        {lastSeen.units.length > 0 ? (
+          <>
+            <circle
+              cx={0}
+              cy={0}
+              r={12}
+              fill="none"
+              stroke={ghostFaction?.color || '#888'}
+              strokeWidth={1.5}
+              strokeDasharray="3 2"
+            />
+            <text
+              x={0}
+              y={4}
+              textAnchor="middle"
+              fontSize={11}
+              fill={ghostFaction?.color || '#888'}
+              fontWeight="bold"
+              fontFamily="monospace"
+            >
+              {lastSeen.units.length}
+            </text>
+          </>
+        ) : (
+          <rect x={-7} y={-7} width={14} height={14} fill="none" stroke={ghostFaction?.color || '#888'} strokeDasharray="3 2" />
+        )}
+        <text
+          x={0}
+          y={21}
+          textAnchor="middle"
+          fontSize={8}
+          fill="#c0c8d0"
+          fontFamily="monospace"
+        >
+          T{lastSeen.turn}
+        </text>
+      </g>
+    )
+  }, [lastSeen, visibility, units])
+  
   return (
     <g 
       transform={`translate(${x}, ${y})`}
@@ -113,6 +187,28 @@ function HexTile({
         />
       )}
       
+      {/* Supply overlay: blue where supplied, red where supply is too thin */}
+      {supplyLevel !== undefined && supplyLevel > 0 && (
+        <path
+          d={hexPath}
+          fill={supplyLevel >= SUPPLY_THRESHOLD ? '#4ab8d8' : '#c45555'}
+          opacity={supplyLevel >= SUPPLY_THRESHOLD ? 0.15 + supplyLevel * 0.35 : 0.3}
+          style={{ pointerEvents: 'none' }}
+        />
+      )}
+      {supplyLevel !== undefined && (
+        <text
+          x={0}
+          y={HEX_SIZE * 0.8}
+          textAnchor="middle"
+          fontSize={9}
+          fill={supplyLevel >= SUPPLY_THRESHOLD ? '#9ee0f0' : '#e08a8a'}
+          style={{ pointerEvents: 'none' }}
+        >
+          {Math.round(supplyLevel * 100)}%
+        </text>
+      )}
+      
       {/* Valid move indicator - pulsing dashed circle */}
       {isValidMove && (
         <circle
@@ -167,8 +263,9 @@ function HexTile({
         </text>
       )}
       
-      {/* Units */}
+      {/* Units, or the ghost of those last seen here */}
       {unitDisplay}
+      {ghostDisplay}
       
       {/* Selection highlight */}
       {isSelected && (
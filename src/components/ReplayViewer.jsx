@@ -0,0 +1,222 @@
+// ReplayViewer.jsx - Step through a recorded game on the regular HexMap
+// Rebuilds every state from the replay's seed and action list
+
+import { useMemo, useState, useEffect, useCallback } from 'react'
+import HexMap from './HexMap'
+import { createReplayPlayer } from '../engine/replay'
+import { ACTIONS } from '../engine/actions'
+import { FACTIONS } from '../data/factions'
+import { UNITS } from '../data/units'
+import { BUILDINGS } from '../data/terrain'
+
+const BASE_STEP_MS = 600
+const SPEEDS = [1, 2, 4, 8]
+
+// Human-readable summary of a replayed action
+function describeAction(action, state) {
+  if (!action) return ''
+  const factionName = (id) => FACTIONS[id]?.name || id
+
+  switch (action.type) {
+    case ACTIONS.START_GAME:
+      return `Game started as ${factionName(action.factionId)}`
+    case ACTIONS.ADVANCE_PHASE:
+      return `Phase: ${state.phase}`
+    case ACTIONS.END_TURN:
+      return `Turn ${state.turn} begins`
+    case ACTIONS.MOVE_UNIT: {
+      const unit = state.units.find(u => u.id === action.unitId)
+      if (!unit) return 'Unit moved'
+      return `${factionName(unit.owner)}: ${UNITS[unit.type]?.name || unit.type} moved to ${action.toQ}, ${action.toR}`
+    }
+    case ACTIONS.START_BUILDING:
+      return `${factionName(action.owner)} started ${BUILDINGS[action.buildingType]?.name || action.buildingType}`
+    case ACTIONS.CANCEL_BUILDING:
+      return `${factionName(action.owner)} cancelled ${BUILDINGS[action.buildingType]?.name || action.buildingType}`
+    case ACTIONS.START_TRAINING:
+      return `${factionName(action.owner)} began training ${UNITS[action.unitType]?.name || action.unitType}`
+    case ACTIONS.CANCEL_TRAINING:
+      return `${factionName(action.owner)} cancelled ${UNITS[action.unitType]?.name || action.unitType}`
+    case ACTIONS.ATTACK:
+    case ACTIONS.RESOLVE_COMBAT:
+    case ACTIONS.AI_RESOLVE_COMBAT:
+      return 'Combat resolved'
+    case ACTIONS.DIPLOMATIC_ACTION:
+      return `${factionName(action.faction || state.playerFaction)} to ${factionName(action.targetFaction)}: ${state.diplomaticLog?.at(-1)?.message || action.actionType}`
+    default:
+      return action.type
+  }
+}
+
+export default function ReplayViewer({ replay, onExit }) {
+  const player = useMemo(() => createReplayPlayer(replay), [replay])
+  const [stepIndex, setStepIndex] = useState(0)
+  const [playing, setPlaying] = useState(false)
+  const [speed, setSpeed] = useState(1)
+
+  const lastStep = player.steps.length - 1
+  const actionIndex = player.steps[stepIndex] ?? 0
+  const state = player.stateAt(actionIndex)
+  const action = player.actionAt(actionIndex)
+
+  // Auto-advance while playing
+  useEffect(() => {
+    if (!playing) return
+    if (stepIndex >= lastStep) {
+      setPlaying(false)
+      return
+    }
+    const timer = setTimeout(() => setStepIndex(i => Math.min(lastStep, i + 1)), BASE_STEP_MS / speed)
+    return () => clearTimeout(timer)
+  }, [playing, stepIndex, lastStep, speed])
+
+  // Jump to the first step at or after an action index
+  const seekToAction = useCallback((index) => {
+    const found = player.steps.findIndex(step => step >= index)
+    setStepIndex(found === -1 ? lastStep : found)
+  }, [player, lastStep])
+
+  const currentTurnIndex = useMemo(() => {
+    let found = 0
+    player.turns.forEach((t, i) => {
+      if (t.index <= actionIndex) found = i
+    })
+    return found
+  }, [player, actionIndex])
+
+  const prevTurn = () => {
+    const turnStart = player.turns[currentTurnIndex]
+    // Go to the start of this turn, or the previous one if already there
+    const target = turnStart.index < actionIndex ? turnStart : player.turns[Math.max(0, currentTurnIndex - 1)]
+    seekToAction(target.index)
+  }
+
+  const nextTurn = () => {
+    const target = player.turns[currentTurnIndex + 1]
+    if (target) seekToAction(target.index)
+    else setStepIndex(lastStep)
+  }
+
+  // Territory standings at this point in the game
+  const standings = useMemo(() => {
+    const hexes = Object.values(state.mapData)
+    return Object.values(FACTIONS)
+      .map(faction => ({
+        faction,
+        territory: hexes.filter(h => h.owner === faction.id).length,
+        units: state.units.filter(u => u.owner === faction.id).length,
+      }))
+      .sort((a, b) => b.territory - a.territory)
+  }, [state])
+
+  return (
+    <div className="h-screen flex flex-col bg-void-950 overflow-hidden">
+
+      {/* ===== HEADER ===== */}
+      <header className="flex-none px-3 py-2 bg-void-900 border-b border-steel-light/20">
+        <div className="flex items-center justify-between gap-2">
+          <span className="font-display text-sm tracking-wider text-steel-bright">REPLAY</span>
+          <div className="text-xs font-mono text-steel-light/70">
+            Turn {state.turn} • <span className="capitalize">{state.phase}</span>
+          </div>
+          <button
+            onClick={onExit}
+            className="px-3 py-1.5 text-xs font-display uppercase tracking-wider
+                       bg-steel/30 text-steel-light border border-steel-light/30 rounded
+                       active:bg-steel/50"
+          >
+            Exit
+          </button>
+        </div>
+      </header>
+
+      {/* ===== CURRENT ACTION ===== */}
+      <div className="flex-none px-3 py-2 bg-void-900/80 border-b border-steel-light/10 text-sm text-white">
+        {describeAction(action, state)}
+      </div>
+
+      {/* ===== MAP ===== */}
+      <div className="flex-1 min-h-0 relative">
+        <HexMap
+          mapData={state.mapData}
+          units={state.units}
+          selectedHex={null}
+          validMoves={[]}
+          validAttacks={[]}
+          playerFaction={null}
+          onHexClick={() => {}}
+        />
+
+        {/* Standings */}
+        <div className="absolute top-2 right-2 bg-void-900/90 border border-steel-light/30 rounded px-2 py-1 text-xs font-mono space-y-0.5">
+          {standings.map(({ faction, territory, units }) => (
+            <div key={faction.id} className="flex items-center justify-between gap-3">
+              <span style={{ color: faction.color }}>{faction.emblem} {faction.name}</span>
+              <span className="text-steel-light/70">{territory}⬢ {units}⚔</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* ===== CONTROLS ===== */}
+      <div className="flex-none bg-void-900 border-t border-steel-light/20 px-3 py-2 space-y-2">
+        <input
+          type="range"
+          min={0}
+          max={lastStep}
+          value={stepIndex}
+          onChange={(e) => setStepIndex(Number(e.target.value))}
+          className="w-full"
+        />
+        <div className="flex items-center justify-between gap-2">
+          <div className="flex items-center gap-1">
+            <ControlButton label="⏮" title="Previous turn" onClick={prevTurn} />
+            <ControlButton label="◀" title="Step back" onClick={() => setStepIndex(i => Math.max(0, i - 1))} />
+            <ControlButton
+              label={playing ? '⏸' : '▶'}
+              title={playing ? 'Pause' : 'Play'}
+              onClick={() => setPlaying(p => !p)}
+              highlight
+            />
+            <ControlButton label="▶|" title="Step forward" onClick={() => setStepIndex(i => Math.min(lastStep, i + 1))} />
+            <ControlButton label="⏭" title="Next turn" onClick={nextTurn} />
+          </div>
+          <div className="flex items-center gap-1">
+            {SPEEDS.map(s => (
+              <button
+                key={s}
+                onClick={() => setSpeed(s)}
+                className={`px-2 py-1 text-xs font-mono rounded border ${
+                  speed === s
+                    ? 'border-continuity text-continuity bg-continuity/20'
+                    : 'border-steel-light/20 text-steel-light/60'
+                }`}
+              >
+                {s}x
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="text-[10px] font-mono text-steel-light/40 text-center">
+          Step {stepIndex + 1}/{lastStep + 1} • Seed {replay.seed}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function ControlButton({ label, title, onClick, highlight }) {
+  return (
+    <button
+      onClick={onClick}
+      title={title}
+      className={`w-9 h-8 flex items-center justify-center text-sm rounded border ${
+        highlight
+          ? 'bg-continuity/30 text-continuity border-continuity/50 active:bg-continuity/50'
+          : 'bg-steel/30 text-steel-light border-steel-light/30 active:bg-steel/50'
+      }`}
+    >
+      {label}
+    </button>
+  )
+}
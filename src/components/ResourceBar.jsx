@@ -10,7 +10,7 @@ const RESOURCE_ICONS = {
   influence: '✧',
 }
 
-function ResourceDisplay({ resource, amount }) {
+function ResourceDisplay({ resource, amount, income }) {
   const color = getResourceColor(resource)
   const icon = RESOURCE_ICONS[resource] || '●'
   const image = getResourceImage(resource)
@@ -29,6 +29,11 @@ function ResourceDisplay({ resource, amount }) {
       <div>
         <div className="font-mono text-sm text-steel-bright">
           {Math.floor(amount)}
+          {income !== undefined && (
+            <span className={`ml-1 text-[10px] ${income < 0 ? 'text-red-400' : 'text-green-400'}`}>
+              {income >= 0 ? '+' : ''}{Math.floor(income)}
+            </span>
+          )}
         </div>
         <div className="text-[10px] uppercase tracking-wider text-steel-light/50">
           {resource}
@@ -38,7 +43,8 @@ function ResourceDisplay({ resource, amount }) {
   )
 }
 
-export default function ResourceBar({ resources, factionColor }) {
+// income: optional net change per turn for each resource
+export default function ResourceBar({ resources, income, factionColor }) {
   if (!resources) return null
   
   return (
@@ -46,13 +52,13 @@ export default function ResourceBar({ resources, factionColor }) {
       className="panel flex items-center gap-6"
       style={{ borderLeftColor: factionColor, borderLeftWidth: 3 }}
     >
-      <ResourceDisplay resource="gold" amount={resources.gold || 0} />
+      <ResourceDisplay resource="gold" amount={resources.gold || 0} income={income?.gold} />
       <div className="w-px h-8 bg-steel-light/20" />
-      <ResourceDisplay resource="iron" amount={resources.iron || 0} />
+      <ResourceDisplay resource="iron" amount={resources.iron || 0} income={income?.iron} />
       <div className="w-px h-8 bg-steel-light/20" />
-      <ResourceDisplay resource="grain" amount={resources.grain || 0} />
+      <ResourceDisplay resource="grain" amount={resources.grain || 0} income={income?.grain} />
       <div className="w-px h-8 bg-steel-light/20" />
-      <ResourceDisplay resource="influence" amount={resources.influence || 0} />
+      <ResourceDisplay resource="influence" amount={resources.influence || 0} income={income?.influence} />
     </div>
   )
 }
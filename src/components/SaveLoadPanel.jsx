@@ -0,0 +1,208 @@
+// SaveLoadPanel.jsx - Mobile-friendly save slot manager
+// Lists named slots plus the autosave; save is hidden when no game is running
+
+import { useState, useCallback } from 'react'
+import { FACTIONS } from '../data/factions'
+import { listSaves, deleteSlot, AUTOSAVE_SLOT } from '../utils/saveSlots'
+
+export default function SaveLoadPanel({ canSave = true, onSave, onLoad, onExportReplay, onWatchReplay, onClose }) {
+  const [saves, setSaves] = useState(() => listSaves())
+  const [slotName, setSlotName] = useState('')
+  const [message, setMessage] = useState(null)
+
+  const refresh = useCallback(() => setSaves(listSaves()), [])
+
+  const handleSave = useCallback((slot) => {
+    const name = slot.trim()
+    if (!name || name === AUTOSAVE_SLOT) {
+      setMessage({ success: false, text: 'Choose a different slot name' })
+      return
+    }
+    const ok = onSave?.(name)
+    setMessage(ok
+      ? { success: true, text: `Saved to "${name}"` }
+      : { success: false, text: 'Save failed' })
+    setSlotName('')
+    refresh()
+  }, [onSave, refresh])
+
+  const handleLoad = useCallback((slot) => {
+    const ok = onLoad?.(slot)
+    if (ok) {
+      onClose?.()
+    } else {
+      setMessage({ success: false, text: `"${slot}" could not be loaded` })
+    }
+  }, [onLoad, onClose])
+
+  const handleReplay = useCallback((replayAction, failureText) => {
+    const ok = replayAction?.()
+    if (!ok) setMessage({ success: false, text: failureText })
+  }, [])
+
+  const handleDelete = useCallback((slot) => {
+    deleteSlot(slot)
+    refresh()
+  }, [refresh])
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-void-950/80">
+      <div
+        className="w-full max-w-md max-h-[85vh] bg-void-900 border border-steel-light/30 rounded-lg
+                   flex flex-col overflow-hidden"
+      >
+        {/* Header */}
+        <div className="flex-none flex items-center justify-between px-4 py-3 border-b border-steel-light/20">
+          <h2 className="font-display text-lg tracking-wider text-steel-bright">
+            {canSave ? 'SAVE / LOAD' : 'LOAD GAME'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="w-8 h-8 flex items-center justify-center text-steel-light/50
+                       hover:text-white active:bg-steel/30 rounded"
+          >
+            ✕
+          </button>
+        </div>
+
+        {/* Result notification */}
+        {message && (
+          <div className={`flex-none px-4 py-2 text-sm ${
+            message.success ? 'bg-green-900/30 text-green-400' : 'bg-red-900/30 text-red-400'
+          }`}>
+            {message.text}
+          </div>
+        )}
+
+        {/* New save */}
+        {canSave && (
+          <div className="flex-none flex gap-2 px-4 py-3 border-b border-steel-light/10">
+            <input
+              value={slotName}
+              onChange={(e) => setSlotName(e.target.value)}
+              placeholder="Slot name"
+              maxLength={32}
+              className="flex-1 min-w-0 px-2 py-1.5 text-sm bg-void-800 border border-steel-light/20
+                         rounded text-steel-bright placeholder:text-steel-light/30"
+            />
+            <button
+              onClick={() => handleSave(slotName)}
+              disabled={!slotName.trim()}
+              className="flex-none px-3 py-1.5 text-xs font-display uppercase tracking-wider
+                         bg-green-900/50 text-green-400 border border-green-500/50 rounded
+                         active:bg-green-800 disabled:opacity-40"
+            >
+              Save
+            </button>
+          </div>
+        )}
+
+        {/* Slot list */}
+        <div
+          className="flex-1 overflow-y-auto p-4 space-y-2"
+          style={{ WebkitOverflowScrolling: 'touch' }}
+        >
+          {saves.length === 0 && (
+            <p className="text-center text-sm text-steel-light/50 py-4">No saved games</p>
+          )}
+          {saves.map(save => (
+            <SlotCard
+              key={save.slot}
+              save={save}
+              canOverwrite={canSave && save.slot !== AUTOSAVE_SLOT}
+              onOverwrite={() => handleSave(save.slot)}
+              onLoad={() => handleLoad(save.slot)}
+              onDelete={() => handleDelete(save.slot)}
+            />
+          ))}
+        </div>
+
+        {/* Footer: replay tools + close */}
+        <div className="flex-none p-4 border-t border-steel-light/20 space-y-2">
+          {(onExportReplay || onWatchReplay) && (
+            <div className="flex gap-2">
+              {onWatchReplay && (
+                <button
+                  onClick={() => handleReplay(onWatchReplay, 'This game has no replayable history')}
+                  className="flex-1 py-2 text-xs font-display uppercase tracking-wider
+                             bg-purple-900/50 text-purple-300 border border-purple-500/50 rounded
+                             active:bg-purple-800"
+                >
+                  Watch Replay
+                </button>
+              )}
+              {onExportReplay && (
+                <button
+                  onClick={() => handleReplay(onExportReplay, 'Replay export failed')}
+                  className="flex-1 py-2 text-xs font-display uppercase tracking-wider
+                             bg-purple-900/50 text-purple-300 border border-purple-500/50 rounded
+                             active:bg-purple-800"
+                >
+                  Export Replay
+                </button>
+              )}
+            </div>
+          )}
+          <button
+            onClick={onClose}
+            className="w-full py-2.5 text-sm font-display uppercase tracking-wider
+                       bg-steel/30 text-steel-light border border-steel-light/30 rounded
+                       active:bg-steel/50"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function SlotCard({ save, canOverwrite, onOverwrite, onLoad, onDelete }) {
+  const faction = FACTIONS[save.playerFaction]
+  const isAutosave = save.slot === AUTOSAVE_SLOT
+
+  return (
+    <div className="bg-steel/20 border border-steel-light/20 rounded-lg p-3">
+      <div className="flex items-center justify-between mb-1">
+        <span className="font-display text-sm tracking-wider text-steel-bright truncate">
+          {isAutosave ? 'Autosave' : save.slot}
+        </span>
+        <span className="text-[10px] font-mono text-steel-light/40">
+          {new Date(save.savedAt).toLocaleString()}
+        </span>
+      </div>
+      <div className="text-xs mb-2" style={{ color: faction?.color }}>
+        {faction?.emblem} {faction?.name || save.playerFaction}
+        <span className="text-steel-light/50"> • Turn {save.turn}</span>
+      </div>
+      <div className="flex gap-2">
+        <button
+          onClick={onLoad}
+          className="flex-1 py-1.5 text-xs font-display uppercase tracking-wider
+                     bg-continuity/30 text-continuity border border-continuity/50 rounded
+                     active:bg-continuity/50"
+        >
+          Load
+        </button>
+        {canOverwrite && (
+          <button
+            onClick={onOverwrite}
+            className="flex-1 py-1.5 text-xs font-display uppercase tracking-wider
+                       bg-green-900/50 text-green-400 border border-green-500/50 rounded
+                       active:bg-green-800"
+          >
+            Overwrite
+          </button>
+        )}
+        <button
+          onClick={onDelete}
+          className="flex-none px-3 py-1.5 text-xs font-display uppercase tracking-wider
+                     bg-red-900/50 text-red-400 border border-red-500/50 rounded
+                     active:bg-red-800"
+        >
+          ✕
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -4,9 +4,8 @@
 import { useMemo } from 'react'
 import { UNITS, UNIT_BRANCHES, getBranchColor } from '../data/units'
 import { getResourceColor } from '../data/terrain'
-
-// Max units that can be in training queue per hex
-const MAX_QUEUE_PER_HEX = 3
+import { getActiveBuildings } from '../engine/economy'
+import { ACADEMY_UNITS, MAX_TRAINING_QUEUE } from '../engine/commands'
 
 export default function TrainMenu({ hex, resources, trainingQueue = [], faction, onTrain }) {
   // Get trainable units for this hex
@@ -14,11 +13,11 @@ export default function TrainMenu({ hex, resources, trainingQueue = [], faction,
     if (!hex) return []
     
     // Check for academy (unlocks elite units)
-    const hasAcademy = hex.buildings?.includes('academy')
+    const hasAcademy = getActiveBuildings(hex).includes('academy')
     
     // Queue count for this hex
     const hexQueueCount = trainingQueue.filter(q => q.hexId === `${hex.q},${hex.r}`).length
-    const queueFull = hexQueueCount >= MAX_QUEUE_PER_HEX
+    const queueFull = hexQueueCount >= MAX_TRAINING_QUEUE
     
     return Object.entries(UNITS).map(([id, unit]) => {
       // Check resource costs
@@ -27,12 +26,12 @@ export default function TrainMenu({ hex, resources, trainingQueue = [], faction,
       )
       
       // Elite units require academy
-      const isElite = ['tank', 'walker', 'bomber', 'artillery'].includes(id)
+      const isElite = ACADEMY_UNITS.includes(id)
       const needsAcademy = isElite && !hasAcademy
       
       // Determine availability
       let unavailableReason = null
-      if (queueFull) unavailableReason = 'Queue full (3 max)'
+      if (queueFull) unavailableReason = `Queue full (${MAX_TRAINING_QUEUE} max)`
       else if (needsAcademy) unavailableReason = 'Requires Academy'
       else if (!canAfford) unavailableReason = 'Not enough resources'
       
@@ -62,7 +61,7 @@ export default function TrainMenu({ hex, resources, trainingQueue = [], faction,
   }, [trainOptions])
   
   const available = trainOptions.filter(u => u.canTrain)
-  const hasAcademy = hex?.buildings?.includes('academy')
+  const hasAcademy = getActiveBuildings(hex).includes('academy')
   
   if (!hex) {
     return (
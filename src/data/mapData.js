@@ -1,8 +1,9 @@
 // Map data and generation for The Fractured Sphere
 
-import { hexId, generateHexMap, hexDistance, getHexNeighbors } from '../utils/hexMath'
-import { TERRAIN_TYPES } from './terrain'
-import { FACTIONS } from './factions'
+import { hexId, generateHexMap, hexDistance, getHexNeighbors } from '../utils/hexMath.js'
+import { TERRAIN_TYPES } from './terrain.js'
+import { FACTIONS } from './factions.js'
+import { createRandom, seedRandom } from '../utils/random.js'
 
 // Map configuration
 export const MAP_CONFIG = {
@@ -29,14 +30,8 @@ const TERRAIN_WEIGHTS = {
   relay: 5,
 }
 
-// Seeded random for reproducible maps
-function seededRandom(seed) {
-  const x = Math.sin(seed++) * 10000
-  return x - Math.floor(x)
-}
-
 // Select terrain based on weights
-function selectTerrain(seed, position) {
+function selectTerrain(random, position) {
   const { q, r } = position
   const distFromCenter = hexDistance(q, r, 0, 0)
   
@@ -64,7 +59,7 @@ function selectTerrain(seed, position) {
     totalWeight += adjusted
   }
   
-  const roll = seededRandom(seed + q * 100 + r) * totalWeight
+  const roll = random.next() * totalWeight
   let cumulative = 0
   
   for (const [terrain, weight] of Object.entries(adjustedWeights)) {
@@ -76,13 +71,14 @@ function selectTerrain(seed, position) {
 }
 
 // Generate initial hex data
-export function generateMapData(seed = 42) {
+// Draws from the given random stream so maps are reproducible from the game seed
+export function generateMapData(random = createRandom(seedRandom(42))) {
   const hexes = generateHexMap(MAP_CONFIG.radius)
   const mapData = {}
   
-  hexes.forEach((hex, index) => {
+  hexes.forEach(hex => {
     const id = hexId(hex.q, hex.r)
-    const terrain = selectTerrain(seed + index, hex)
+    const terrain = selectTerrain(random, hex)
     
     // Determine initial ownership
     let owner = null
@@ -163,48 +159,6 @@ export function isAdjacentToFaction(mapData, q, r, factionId) {
   })
 }
 
-// Update visibility for a faction based on their units and buildings
-export function updateFactionVisibility(mapData, factionId, units) {
-  // Reset current visibility (keep explored)
-  Object.values(mapData).forEach(hex => {
-    hex.visible[factionId] = false
-  })
-  
-  // Owned hexes are always visible
-  Object.values(mapData).forEach(hex => {
-    if (hex.owner === factionId) {
-      hex.visible[factionId] = true
-      hex.explored[factionId] = true
-      
-      // Adjacent hexes too
-      const neighbors = getHexNeighbors(hex.q, hex.r)
-      neighbors.forEach(n => {
-        const nHex = mapData[hexId(n.q, n.r)]
-        if (nHex) {
-          nHex.visible[factionId] = true
-          nHex.explored[factionId] = true
-        }
-      })
-    }
-  })
-  
-  // Unit sight ranges
-  units.filter(u => u.owner === factionId).forEach(unit => {
-    const sightRange = unit.stats?.sight || 2
-    for (let dist = 0; dist <= sightRange; dist++) {
-      // Simple circle - could use proper FOV later
-      Object.values(mapData).forEach(hex => {
-        if (hexDistance(unit.q, unit.r, hex.q, hex.r) <= dist) {
-          hex.visible[factionId] = true
-          hex.explored[factionId] = true
-        }
-      })
-    }
-  })
-  
-  return mapData
-}
-
 // Initial resources for each faction
 export const STARTING_RESOURCES = {
   gold: 200,
@@ -310,3 +264,59 @@ export const VICTORY_CONDITIONS = {
     },
   },
 }
+
+// Difficulty levels: how hard the AI factions play
+// searchDepth: 1 scores each option alone, 2 also looks one step ahead
+// moveOptions / targetOptions: how many options the AI weighs (null = all)
+// mistakeChance: odds the AI takes a random option instead of its best one
+// aiIncomeMultiplier: scales AI income; aiStartingResources: added to AI starting stocks
+export const DIFFICULTY_LEVELS = {
+  easy: {
+    id: 'easy',
+    name: 'Easy',
+    description: 'Short-sighted rivals that blunder and run lean economies.',
+    searchDepth: 1,
+    moveOptions: 3,
+    targetOptions: 1,
+    mistakeChance: 0.3,
+    aiIncomeMultiplier: 0.75,
+    aiStartingResources: { gold: -50, iron: -25 },
+  },
+  normal: {
+    id: 'normal',
+    name: 'Normal',
+    description: 'The AI plays its best move every time, on equal terms.',
+    searchDepth: 1,
+    moveOptions: null,
+    targetOptions: null,
+    mistakeChance: 0,
+    aiIncomeMultiplier: 1,
+    aiStartingResources: {},
+  },
+  hard: {
+    id: 'hard',
+    name: 'Hard',
+    description: 'Rivals plan a step ahead and enjoy richer economies.',
+    searchDepth: 2,
+    moveOptions: null,
+    targetOptions: null,
+    mistakeChance: 0,
+    aiIncomeMultiplier: 1.25,
+    aiStartingResources: { gold: 100, iron: 50 },
+  },
+  brutal: {
+    id: 'brutal',
+    name: 'Brutal',
+    description: 'Far-sighted rivals with a large head start and surplus income.',
+    searchDepth: 2,
+    moveOptions: null,
+    targetOptions: null,
+    mistakeChance: 0,
+    aiIncomeMultiplier: 1.5,
+    aiStartingResources: { gold: 250, iron: 150, grain: 100, influence: 20 },
+  },
+}
+
+export const DEFAULT_DIFFICULTY = 'normal'
+
+export const getDifficulty = (id) => DIFFICULTY_LEVELS[id] || DIFFICULTY_LEVELS[DEFAULT_DIFFICULTY]
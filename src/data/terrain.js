@@ -12,6 +12,7 @@ export const TERRAIN_TYPES = {
     supplyModifier: 1.0,
     canBuild: ['farm', 'mine', 'market', 'fortress', 'academy'],
     resourceYield: { gold: 1, iron: 1, grain: 2 },
+    population: 1, // grain eaten per turn when owned
   },
 
   urban: {
@@ -25,6 +26,7 @@ export const TERRAIN_TYPES = {
     supplyModifier: 1.2,
     canBuild: ['market', 'fortress', 'academy'],
     resourceYield: { gold: 3, iron: 0, grain: 1 },
+    population: 3,
     specialRules: ['civilian_presence'],
   },
 
@@ -39,6 +41,7 @@ export const TERRAIN_TYPES = {
     supplyModifier: 0.9,
     canBuild: ['farm'],
     resourceYield: { gold: 0, iron: 0, grain: 3 },
+    population: 0,
     combatModifiers: {
       ground: { defense: 0.15 },
       armor: { attack: -0.1, movement: -1 },
@@ -54,8 +57,10 @@ export const TERRAIN_TYPES = {
     movementCost: 3,
     defenseModifier: 0.4,
     supplyModifier: 0.7,
+    blocksSight: true,
     canBuild: ['fortress', 'relay'],
     resourceYield: { gold: 0, iron: 3, grain: 0 },
+    population: 0,
     combatModifiers: {
       ground: { defense: 0.2 },
       air: { attack: -0.15 },
@@ -74,6 +79,7 @@ export const TERRAIN_TYPES = {
     supplyModifier: 1.3,
     canBuild: ['market', 'port', 'fortress'],
     resourceYield: { gold: 2, iron: 1, grain: 1 },
+    population: 2,
     specialRules: ['naval_access', 'trade_route'],
   },
 
@@ -88,6 +94,7 @@ export const TERRAIN_TYPES = {
     supplyModifier: 0.5,
     canBuild: [],
     resourceYield: { gold: 0, iron: 2, grain: 0 },
+    population: 0,
     specialRules: ['anomaly_effects', 'no_construction'],
     combatModifiers: {
       all: { attack: -0.1, defense: -0.1 },
@@ -105,6 +112,7 @@ export const TERRAIN_TYPES = {
     supplyModifier: 1.1,
     canBuild: ['relay', 'academy'],
     resourceYield: { gold: 2, iron: 0, grain: 0 },
+    population: 1,
     specialRules: ['comm_bonus'],
   },
 }
@@ -31,7 +31,7 @@ export const UNITS = {
     branch: UNIT_BRANCHES.GROUND,
     description: 'Standard infantry unit. Versatile and cost-effective.',
     cost: { gold: 50, iron: 20 },
-    upkeep: { gold: 5 },
+    upkeep: { gold: 3, grain: 1 },
     trainTime: 1,
     stats: {
       attack: 10,
@@ -49,7 +49,7 @@ export const UNITS = {
     branch: UNIT_BRANCHES.GROUND,
     description: 'Defensive specialists. Strong in fortified positions.',
     cost: { gold: 40, iron: 30 },
-    upkeep: { gold: 4 },
+    upkeep: { gold: 2, grain: 1 },
     trainTime: 1,
     stats: {
       attack: 6,
@@ -67,7 +67,7 @@ export const UNITS = {
     branch: UNIT_BRANCHES.GROUND,
     description: 'Fast attack unit. Excels at flanking maneuvers.',
     cost: { gold: 80, iron: 30 },
-    upkeep: { gold: 8 },
+    upkeep: { gold: 5, grain: 2 },
     trainTime: 2,
     stats: {
       attack: 14,
@@ -86,7 +86,7 @@ export const UNITS = {
     branch: UNIT_BRANCHES.AIR,
     description: 'Air superiority fighter. Counters other air units.',
     cost: { gold: 100, iron: 50 },
-    upkeep: { gold: 12 },
+    upkeep: { gold: 8, grain: 1 },
     trainTime: 2,
     stats: {
       attack: 12,
@@ -104,7 +104,7 @@ export const UNITS = {
     branch: UNIT_BRANCHES.AIR,
     description: 'Ground attack aircraft. Devastating against structures.',
     cost: { gold: 120, iron: 60 },
-    upkeep: { gold: 15 },
+    upkeep: { gold: 10, grain: 1 },
     trainTime: 3,
     stats: {
       attack: 18,
@@ -122,7 +122,7 @@ export const UNITS = {
     branch: UNIT_BRANCHES.AIR,
     description: 'Fast reconnaissance. Reveals fog of war.',
     cost: { gold: 40, iron: 20 },
-    upkeep: { gold: 4 },
+    upkeep: { gold: 2, grain: 1 },
     trainTime: 1,
     stats: {
       attack: 2,
@@ -141,7 +141,7 @@ export const UNITS = {
     branch: UNIT_BRANCHES.ARMOR,
     description: 'Heavy assault vehicle. High attack and defense.',
     cost: { gold: 150, iron: 100 },
-    upkeep: { gold: 18 },
+    upkeep: { gold: 12, grain: 1 },
     trainTime: 3,
     stats: {
       attack: 20,
@@ -159,7 +159,7 @@ export const UNITS = {
     branch: UNIT_BRANCHES.ARMOR,
     description: 'All-terrain mech. Ignores terrain penalties.',
     cost: { gold: 180, iron: 120 },
-    upkeep: { gold: 20 },
+    upkeep: { gold: 14, grain: 2 },
     trainTime: 4,
     stats: {
       attack: 16,
@@ -177,7 +177,7 @@ export const UNITS = {
     branch: UNIT_BRANCHES.ARMOR,
     description: 'Long-range bombardment. Cannot move and fire same turn.',
     cost: { gold: 140, iron: 80 },
-    upkeep: { gold: 16 },
+    upkeep: { gold: 10, grain: 2 },
     trainTime: 3,
     stats: {
       attack: 24,
@@ -0,0 +1,45 @@
+// actions.js - Turn phases and action types shared across the engine
+
+// Turn phases
+export const PHASES = {
+  PRODUCTION: 'production',
+  DIPLOMACY: 'diplomacy',
+  MOVEMENT: 'movement',
+  COMBAT: 'combat',
+}
+
+export const PHASE_ORDER = ['production', 'diplomacy', 'movement', 'combat']
+
+// Action types
+export const ACTIONS = {
+  START_GAME: 'START_GAME',
+  LOAD_GAME: 'LOAD_GAME',
+  ADVANCE_PHASE: 'ADVANCE_PHASE',
+  END_TURN: 'END_TURN',
+  SELECT_HEX: 'SELECT_HEX',
+  MOVE_UNIT: 'MOVE_UNIT',
+  // Multi-turn move orders
+  SET_MOVE_ORDER: 'SET_MOVE_ORDER',
+  CANCEL_MOVE_ORDER: 'CANCEL_MOVE_ORDER',
+  // Restore a damaged unit for gold and iron
+  REINFORCE_UNIT: 'REINFORCE_UNIT',
+  CLEAR_SELECTION: 'CLEAR_SELECTION',
+  // Building & Training
+  START_BUILDING: 'START_BUILDING',
+  START_TRAINING: 'START_TRAINING',
+  CANCEL_BUILDING: 'CANCEL_BUILDING',
+  CANCEL_TRAINING: 'CANCEL_TRAINING',
+  // Combat
+  INITIATE_ATTACK: 'INITIATE_ATTACK',
+  // Attack command from any faction; RESOLVE_COMBAT and AI_RESOLVE_COMBAT
+  // remain for games recorded before it
+  ATTACK: 'ATTACK',
+  RESOLVE_COMBAT: 'RESOLVE_COMBAT',
+  AI_RESOLVE_COMBAT: 'AI_RESOLVE_COMBAT',
+  CANCEL_COMBAT: 'CANCEL_COMBAT',
+  // Diplomacy
+  DIPLOMATIC_ACTION: 'DIPLOMATIC_ACTION',
+  // History
+  UNDO: 'UNDO',
+  REDO: 'REDO',
+}
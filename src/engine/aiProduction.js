@@ -0,0 +1,325 @@
+// aiProduction.js - AI economic planner
+// Decides what an AI faction builds and trains this turn. Buildings come from
+// what each hex's terrain allows (TERRAIN_TYPES[*].canBuild), and nothing is
+// started unless projected income can still carry the upkeep and maintenance
+// it adds. The units trained follow the faction's priorities and aiTraits.
+// Every pick passes the same blockers the command layer checks, so elite units
+// still need an academy, just as they do for the player.
+
+import { FACTIONS } from '../data/factions.js'
+import { UNITS } from '../data/units.js'
+import { BUILDINGS, TERRAIN_TYPES } from '../data/terrain.js'
+import { hexId, getHexNeighbors } from '../utils/hexMath.js'
+import { ACTIONS } from './actions.js'
+import { calculateEconomy, getActiveBuildings } from './economy.js'
+import { getBuildBlocker, getTrainBlocker, ACADEMY_UNITS } from './commands.js'
+import { getStackLimit } from './stacks.js'
+import { GARRISON_SIZE } from './aiStrategy.js'
+
+// Turns of upkeep and maintenance kept in the treasury, never spent
+export const PRODUCTION_RESERVE_TURNS = 3
+// A running deficit is accepted only if the treasury covers this many turns of it
+export const PLANNING_HORIZON = 20
+// Most projects started per turn
+export const MAX_BUILDS_PER_TURN = 1
+export const MAX_TRAINING_PER_TURN = 2
+
+// Weight of a faction's first, second and third priority
+const PRIORITY_WEIGHTS = [3, 2, 1]
+
+// How much each building and unit serves each priority
+const BUILDING_ROLES = {
+  farm: { economy: 1 },
+  mine: { economy: 1 },
+  market: { economy: 1 },
+  port: { economy: 0.5, expansion: 0.5 },
+  fortress: { defense: 1 },
+  academy: { military: 1, defense: 0.3 },
+  relay: { expansion: 0.8, defense: 0.2 },
+}
+
+const UNIT_ROLES = {
+  infantry: { military: 0.6, expansion: 0.4, defense: 0.4 },
+  garrison: { defense: 1 },
+  cavalry: { expansion: 1, military: 0.4 },
+  interceptor: { military: 0.6, defense: 0.4 },
+  bomber: { military: 1 },
+  scout: { expansion: 0.4 },
+  tank: { military: 1, defense: 0.5 },
+  walker: { military: 0.8, defense: 0.8 },
+  artillery: { military: 0.8, defense: 0.3 },
+}
+
+// ============ HELPERS ============
+
+function priorityWeight(faction, role) {
+  const rank = faction.priorities?.indexOf(role) ?? -1
+  return rank === -1 ? 0.5 : PRIORITY_WEIGHTS[rank] ?? 0.5
+}
+
+function roleScore(faction, roles) {
+  return Object.entries(roles || {}).reduce((sum, [role, amount]) => sum + priorityWeight(faction, role) * amount, 0)
+}
+
+// Cheap projects score higher, but not so much that the cheapest always wins
+function costFactor(cost) {
+  return Math.sqrt(((cost?.gold || 0) + (cost?.iron || 0)) / 100)
+}
+
+function spend(resources, cost) {
+  const remaining = { ...resources }
+  Object.entries(cost || {}).forEach(([res, amount]) => {
+    remaining[res] = (remaining[res] || 0) - amount
+  })
+  return remaining
+}
+
+// Per-turn change a building makes to income once finished
+function buildingIncome(buildingType) {
+  const building = BUILDINGS[buildingType]
+  return {
+    gold: (building?.production?.gold || 0) - (building?.maintenance?.gold || 0),
+    iron: building?.production?.iron || 0,
+    grain: building?.production?.grain || 0,
+  }
+}
+
+// Per-turn change a unit makes to income once trained
+function unitIncome(unitType) {
+  const upkeep = UNITS[unitType]?.upkeep
+  return { gold: -(upkeep?.gold || 0), iron: -(upkeep?.iron || 0), grain: -(upkeep?.grain || 0) }
+}
+
+function addIncome(income, change) {
+  return {
+    gold: income.gold + change.gold,
+    iron: income.iron + change.iron,
+    grain: income.grain + change.grain,
+  }
+}
+
+/**
+ * Projected per-turn income for a faction once everything already queued is
+ * finished: current net income, plus queued buildings, minus queued units.
+ */
+export function projectIncome(state, factionId) {
+  const { net } = calculateEconomy(state, factionId)
+  let income = { gold: net.gold || 0, iron: net.iron || 0, grain: net.grain || 0 }
+  state.buildingQueue.filter(item => item.owner === factionId).forEach(item => {
+    income = addIncome(income, buildingIncome(item.buildingType))
+  })
+  state.trainingQueue.filter(item => item.owner === factionId).forEach(item => {
+    income = addIncome(income, unitIncome(item.unitType))
+  })
+  return income
+}
+
+// Whether the treasury can carry an income for the planning horizon
+function isSustainable(resources, income) {
+  return ['gold', 'grain'].every(res => income[res] >= 0 || (resources[res] || 0) + income[res] * PLANNING_HORIZON >= 0)
+}
+
+// How badly a faction needs more of a resource: short of it within the horizon,
+// running it down, or comfortably supplied
+function needFactor(plan, res) {
+  const income = plan.income[res] || 0
+  const stock = plan.resources[res] || 0
+  if (income >= 0) return stock < 100 ? 1 : 0.5
+  return stock + income * PLANNING_HORIZON < 0 ? 3 : 1.5
+}
+
+// Owned hexes next to territory that isn't the faction's own
+function isBorderHex(mapData, hex) {
+  return getHexNeighbors(hex.q, hex.r).some(n => {
+    const neighbor = mapData[hexId(n.q, n.r)]
+    return neighbor && neighbor.owner !== hex.owner
+  })
+}
+
+// ============ SCORING ============
+
+function scoreBuilding(plan, faction, hex, buildingType) {
+  const { state } = plan
+  const traits = faction.aiTraits
+  let score = roleScore(faction, BUILDING_ROLES[buildingType])
+
+  switch (buildingType) {
+    case 'farm':
+      score *= needFactor(plan, 'grain')
+      break
+    case 'mine':
+      score *= needFactor(plan, 'iron')
+      break
+    case 'market':
+      score *= needFactor(plan, 'gold')
+      break
+    case 'port':
+      score *= traits.expansion
+      break
+    case 'fortress':
+      // Walls go on the capital and the frontier
+      if (hex.isCapital) score *= 2
+      else if (!isBorderHex(state.mapData, hex)) return 0
+      score *= 1 - traits.aggression / 2
+      break
+    case 'academy': {
+      // One academy is enough to unlock elite units
+      const hasAcademy = Object.values(state.mapData).some(h => h.owner === faction.id && (h.buildings || []).includes('academy'))
+      const queued = state.buildingQueue.some(item => item.owner === faction.id && item.buildingType === 'academy')
+      if (hasAcademy || queued) return 0
+      score *= traits.aggression + traits.riskTolerance
+      break
+    }
+    case 'relay':
+      if (!isBorderHex(state.mapData, hex)) return 0
+      score *= traits.expansion
+      break
+  }
+
+  return score / costFactor(BUILDINGS[buildingType]?.cost)
+}
+
+function scoreUnit(plan, faction, unitType) {
+  const unit = UNITS[unitType]
+  const traits = faction.aiTraits
+  const { attack, defense, movement } = unit.stats
+  let score = roleScore(faction, UNIT_ROLES[unitType])
+
+  // Aggressive factions want firepower, cautious ones want staying power
+  score *= 1 + (attack * traits.aggression + defense * (1 - traits.aggression)) / 20
+  score *= 1 + (movement * traits.expansion) / 10
+  // Bold factions spend on elite units
+  if (ACADEMY_UNITS.includes(unitType)) score *= 0.5 + traits.riskTolerance
+
+  // Keep the army mixed: each unit of a type already fielded makes the next less attractive
+  score /= 1 + (plan.fielded[unitType] || 0) * 0.5
+
+  return score / costFactor(unit.cost)
+}
+
+// Whether a unit trained on a hex will find room there. The field army moves
+// out before training finishes, and the engine holds a finished unit until the
+// stack has room, so only units already queued there and the garrison the
+// capital keeps count against the limit.
+function hasTrainingRoom(plan, hex) {
+  const queued = plan.state.trainingQueue.filter(item => item.hexId === hex.id).length
+  const held = hex.isCapital ? GARRISON_SIZE : 0
+  return queued + held < getStackLimit(hex)
+}
+
+// Where a unit should be trained: academies first, then the capital, then the frontier
+function pickTrainingHex(plan, factionId, unitType) {
+  const { state } = plan
+  const rank = (hex) => (getActiveBuildings(hex).includes('academy') ? 4 : 0)
+    + (hex.isCapital ? 2 : 0)
+    + (isBorderHex(state.mapData, hex) ? 1 : 0)
+
+  return Object.values(state.mapData)
+    .filter(hex => hex.owner === factionId)
+    .filter(hex => !getTrainBlocker(state, factionId, hex.id, unitType))
+    .filter(hex => hasTrainingRoom(plan, hex))
+    .sort((a, b) => rank(b) - rank(a) || a.id.localeCompare(b.id))[0] || null
+}
+
+function affordable(plan, cost) {
+  return Object.entries(cost || {}).every(([res, amount]) => (plan.resources[res] || 0) - (plan.reserve[res] || 0) >= amount)
+}
+
+function bestBuilding(plan, faction) {
+  let best = null
+  Object.values(plan.state.mapData).forEach(hex => {
+    if (hex.owner !== faction.id) return
+    ;(TERRAIN_TYPES[hex.terrain]?.canBuild || []).forEach(buildingType => {
+      const building = BUILDINGS[buildingType]
+      if (!building || !affordable(plan, building.cost)) return
+      if (!isSustainable(spend(plan.resources, building.cost), addIncome(plan.income, buildingIncome(buildingType)))) return
+      if (getBuildBlocker(plan.state, faction.id, hex.id, buildingType)) return
+      const score = scoreBuilding(plan, faction, hex, buildingType)
+      if (score > 0 && (!best || score > best.score)) best = { score, hex, buildingType }
+    })
+  })
+  return best
+}
+
+function bestUnit(plan, faction) {
+  let best = null
+  Object.keys(UNITS).forEach(unitType => {
+    const unit = UNITS[unitType]
+    if (!affordable(plan, unit.cost)) return
+    if (!isSustainable(spend(plan.resources, unit.cost), addIncome(plan.income, unitIncome(unitType)))) return
+    const score = scoreUnit(plan, faction, unitType)
+    if (score <= 0 || (best && score <= best.score)) return
+    const hex = pickTrainingHex(plan, faction.id, unitType)
+    if (hex) best = { score, hex, unitType }
+  })
+  return best
+}
+
+// ============ PLANNER ============
+
+/**
+ * The START_BUILDING and START_TRAINING commands an AI faction issues this
+ * turn, in order. Each command assumes the ones before it were applied.
+ */
+export function planProduction(state, factionId) {
+  const faction = FACTIONS[factionId]
+  const resources = state.factionResources?.[factionId]
+  if (!faction || !resources) return []
+
+  const economy = calculateEconomy(state, factionId)
+  const fielded = {}
+  state.units.filter(u => u.owner === factionId).forEach(u => { fielded[u.type] = (fielded[u.type] || 0) + 1 })
+  state.trainingQueue.filter(item => item.owner === factionId).forEach(item => {
+    fielded[item.unitType] = (fielded[item.unitType] || 0) + 1
+  })
+
+  const plan = {
+    state,
+    resources,
+    income: projectIncome(state, factionId),
+    reserve: {
+      gold: ((economy.upkeep.gold || 0) + (economy.maintenance.gold || 0)) * PRODUCTION_RESERVE_TURNS,
+      grain: ((economy.upkeep.grain || 0) + (economy.population.grain || 0)) * PRODUCTION_RESERVE_TURNS,
+    },
+    fielded,
+  }
+
+  const commands = []
+  let builds = 0
+  let trained = 0
+
+  // Greedily take the best remaining project, building or unit, until the budget runs out
+  while (builds < MAX_BUILDS_PER_TURN || trained < MAX_TRAINING_PER_TURN) {
+    const building = builds < MAX_BUILDS_PER_TURN ? bestBuilding(plan, faction) : null
+    const unit = trained < MAX_TRAINING_PER_TURN ? bestUnit(plan, faction) : null
+    if (!building && !unit) break
+
+    if (building && (!unit || building.score >= unit.score)) {
+      const { hex, buildingType } = building
+      const cost = BUILDINGS[buildingType].cost
+      commands.push({ type: ACTIONS.START_BUILDING, faction: factionId, owner: factionId, hexId: hex.id, buildingType })
+      plan.resources = spend(plan.resources, cost)
+      plan.income = addIncome(plan.income, buildingIncome(buildingType))
+      plan.state = {
+        ...plan.state,
+        buildingQueue: [...plan.state.buildingQueue, { hexId: hex.id, buildingType, owner: factionId }],
+        factionResources: { ...plan.state.factionResources, [factionId]: plan.resources },
+      }
+      builds++
+    } else {
+      const { hex, unitType } = unit
+      commands.push({ type: ACTIONS.START_TRAINING, faction: factionId, owner: factionId, hexId: hex.id, unitType })
+      plan.resources = spend(plan.resources, UNITS[unitType].cost)
+      plan.income = addIncome(plan.income, unitIncome(unitType))
+      plan.fielded = { ...plan.fielded, [unitType]: (plan.fielded[unitType] || 0) + 1 }
+      plan.state = {
+        ...plan.state,
+        trainingQueue: [...plan.state.trainingQueue, { hexId: hex.id, unitType, owner: factionId }],
+        factionResources: { ...plan.state.factionResources, [factionId]: plan.resources },
+      }
+      trained++
+    }
+  }
+
+  return commands
+}
@@ -0,0 +1,235 @@
+// aiStrategy.js - Strategic layer for AI factions
+// Above the per-unit move scoring in useAI: picks objective hexes in enemy
+// territory, splits the army into a capital garrison and fronts, holds each
+// front at a staging distance until it has local superiority, and recalls
+// nearby units when the threat around the capital spikes.
+
+import { UNITS } from '../data/units.js'
+import { TERRAIN_TYPES } from '../data/terrain.js'
+import { hexId, getHexNeighbors, hexDistance } from '../utils/hexMath.js'
+
+// Enemies this close to the capital count toward its threat
+export const THREAT_RADIUS = 3
+// Units this close to the capital can be recalled to defend it
+export const RECALL_RADIUS = 4
+// Fronts wait this far from their objective while they gather
+export const STAGING_DISTANCE = 2
+// Units garrisoned at the capital once the army is big enough
+export const GARRISON_SIZE = 1
+export const MIN_ARMY_FOR_GARRISON = 2
+
+// ============ EVALUATION ============
+
+/**
+ * Calculate strategic value of a hex
+ */
+export function evaluateHexValue(hex, mapData, factionId) {
+  let value = 0
+
+  // Resource value
+  value += (hex.resources.gold || 0) * 2
+  value += (hex.resources.iron || 0) * 1.5
+  value += (hex.resources.grain || 0) * 1
+
+  // Capital bonus
+  if (hex.isCapital) {
+    value += 50
+  }
+
+  // Strategic position (central hexes worth more)
+  const distFromCenter = hexDistance(hex.q, hex.r, 0, 0)
+  value += Math.max(0, 10 - distFromCenter * 2)
+
+  // Terrain value
+  const terrain = TERRAIN_TYPES[hex.terrain]
+  if (terrain) {
+    value += terrain.defenseModifier * 10
+  }
+
+  // Building value
+  if (hex.buildings?.length > 0) {
+    value += hex.buildings.length * 15
+  }
+
+  // Adjacent to own territory bonus
+  const neighbors = getHexNeighbors(hex.q, hex.r)
+  const adjacentOwned = neighbors.filter(n => {
+    const nHex = mapData[hexId(n.q, n.r)]
+    return nHex && nHex.owner === factionId
+  }).length
+  value += adjacentOwned * 3
+
+  return value
+}
+
+/**
+ * Evaluate threat level of an enemy unit
+ */
+export function evaluateThreat(enemyUnit, ownUnits, mapData) {
+  const unitDef = UNITS[enemyUnit.type]
+  if (!unitDef) return 0
+
+  let threat = unitDef.stats.attack * 2 + unitDef.stats.defense
+
+  // Health modifier
+  threat *= (enemyUnit.health || 100) / 100
+
+  // Proximity to own units/territory
+  let minDist = Infinity
+  ownUnits.forEach(unit => {
+    const dist = hexDistance(enemyUnit.q, enemyUnit.r, unit.q, unit.r)
+    minDist = Math.min(minDist, dist)
+  })
+
+  if (minDist <= 2) threat *= 1.5
+  if (minDist <= 1) threat *= 2
+
+  return threat
+}
+
+/**
+ * Fighting power of a unit, on the same scale as evaluateThreat before
+ * proximity: attack counts double, scaled by health
+ */
+export function getUnitPower(unit) {
+  const stats = UNITS[unit.type]?.stats
+  if (!stats) return 0
+  return (stats.attack * 2 + stats.defense) * (unit.health || 100) / 100
+}
+
+/**
+ * Threat massing around a faction's capital, from units of the given
+ * factions within THREAT_RADIUS
+ */
+export function evaluateCapitalThreat(state, capital, hostileFactions) {
+  const defenders = [capital, ...state.units.filter(u => u.owner === capital.owner && hexDistance(u.q, u.r, capital.q, capital.r) <= 1)]
+  return state.units
+    .filter(u => hostileFactions.has(u.owner) && hexDistance(u.q, u.r, capital.q, capital.r) <= THREAT_RADIUS)
+    .reduce((sum, enemy) => sum + evaluateThreat(enemy, defenders, state.mapData), 0)
+}
+
+// ============ PLANNING ============
+
+/**
+ * Choose objective hexes in the territory of factions at war with this one:
+ * the most valuable, discounted by distance from the capital
+ */
+function pickObjectives(state, factionId, capital, enemies, count) {
+  return Object.values(state.mapData)
+    .filter(hex => enemies.has(hex.owner))
+    .map(hex => ({
+      hex,
+      score: evaluateHexValue(hex, state.mapData, factionId) - (capital ? hexDistance(hex.q, hex.r, capital.q, capital.r) * 5 : 0),
+    }))
+    .sort((a, b) => b.score - a.score || a.hex.id.localeCompare(b.hex.id))
+    .slice(0, count)
+    .map(({ hex }) => hex)
+}
+
+/**
+ * Strategic plan for an AI faction's turn.
+ * enemies: factions it is at war with; hostile: factions whose units count as
+ * a threat to its capital (everyone not allied).
+ * Returns {
+ *   capital, threat, defending,
+ *   fronts: [{ objective: {q, r, id}, unitIds, strength, enemyStrength, ready }],
+ *   orders: { [unitId]: { role: 'garrison'|'defend'|'front', target: {q, r}, keepDistance, front } },
+ * }
+ * Units without an order are free to act on their own.
+ */
+export function planStrategy(state, factionId, traits, enemies, hostile) {
+  const { mapData, units } = state
+  const capital = Object.values(mapData).find(h => h.isCapital && h.owner === factionId) || null
+  const army = units.filter(u => u.owner === factionId)
+  const orders = {}
+  const plan = { capital, threat: 0, defending: false, fronts: [], orders }
+  if (army.length === 0) return plan
+
+  const byDistanceTo = (target) => (a, b) =>
+    hexDistance(a.q, a.r, target.q, target.r) - hexDistance(b.q, b.r, target.q, target.r) || a.id.localeCompare(b.id)
+
+  // Garrison: the sturdiest units nearest the capital
+  if (capital && army.length >= MIN_ARMY_FOR_GARRISON) {
+    const sturdiest = [...army].sort((a, b) =>
+      (UNITS[b.type]?.stats.defense || 0) - (UNITS[a.type]?.stats.defense || 0) || byDistanceTo(capital)(a, b)
+    )
+    sturdiest.slice(0, GARRISON_SIZE).forEach(unit => {
+      orders[unit.id] = { role: 'garrison', target: { q: capital.q, r: capital.r }, keepDistance: 0 }
+    })
+  }
+
+  // Capital threat: cautious factions react sooner
+  if (capital) {
+    plan.threat = evaluateCapitalThreat(state, capital, hostile)
+    const garrisonPower = army
+      .filter(u => hexDistance(u.q, u.r, capital.q, capital.r) <= 1)
+      .reduce((sum, u) => sum + getUnitPower(u), 0)
+    plan.defending = plan.threat > 0 && plan.threat > garrisonPower * (1 + traits.riskTolerance)
+
+    // Pull the nearest units back until the capital can answer the threat
+    if (plan.defending) {
+      let power = garrisonPower
+      army
+        .filter(u => !orders[u.id] && hexDistance(u.q, u.r, capital.q, capital.r) <= RECALL_RADIUS)
+        .sort(byDistanceTo(capital))
+        .forEach(unit => {
+          if (power >= plan.threat) return
+          orders[unit.id] = { role: 'defend', target: { q: capital.q, r: capital.r }, keepDistance: 0 }
+          power += getUnitPower(unit)
+        })
+    }
+  }
+
+  // Fronts: aggressive factions open a second one
+  const frontCount = traits.aggression > 0.6 ? 2 : 1
+  const objectives = pickObjectives(state, factionId, capital, enemies, frontCount)
+  plan.fronts = objectives.map(hex => ({
+    objective: { q: hex.q, r: hex.r, id: hex.id },
+    unitIds: [],
+    strength: 0,
+    enemyStrength: units
+      .filter(u => enemies.has(u.owner) && hexDistance(u.q, u.r, hex.q, hex.r) <= 1)
+      .reduce((sum, u) => sum + getUnitPower(u), 0),
+    ready: false,
+  }))
+
+  // Every unit left over joins the nearest front
+  if (plan.fronts.length > 0) {
+    army.filter(u => !orders[u.id]).forEach(unit => {
+      const distanceTo = (front) => hexDistance(unit.q, unit.r, front.objective.q, front.objective.r)
+      const nearest = plan.fronts.reduce((best, front) => distanceTo(front) < distanceTo(best) ? front : best)
+      nearest.unitIds.push(unit.id)
+    })
+  }
+
+  // Strike only with local superiority: bold factions accept thinner margins
+  const superiority = 2 - traits.riskTolerance
+  plan.fronts.forEach((front, index) => {
+    front.strength = army
+      .filter(u => front.unitIds.includes(u.id) && hexDistance(u.q, u.r, front.objective.q, front.objective.r) <= STAGING_DISTANCE)
+      .reduce((sum, u) => sum + getUnitPower(u), 0)
+    front.ready = front.strength > 0 && front.strength >= front.enemyStrength * superiority
+    front.unitIds.forEach(unitId => {
+      orders[unitId] = {
+        role: 'front',
+        front: index,
+        target: { q: front.objective.q, r: front.objective.r },
+        keepDistance: front.ready ? 0 : STAGING_DISTANCE,
+      }
+    })
+  })
+
+  return plan
+}
+
+// Score lost per hex a position misses its order's target by; outweighs what
+// a move is worth on its own merits
+export const ORDER_WEIGHT = 100
+
+/**
+ * How well a position serves a unit's order: zero when it holds at the
+ * order's keepDistance from the target, less for every hex it misses by
+ */
+export function scoreOrderPosition(q, r, order) {
+  return -Math.abs(hexDistance(q, r, order.target.q, order.target.r) - order.keepDistance) * ORDER_WEIGHT
+}
@@ -0,0 +1,250 @@
+// commandLog.js - Command history for undo/redo and replay
+// Every accepted command is recorded with the acting faction and, for
+// undoable commands, the prior values needed to invert it. Selection-only
+// actions are not recorded. Undo data is dropped once a command's phase
+// closes, and when a turn ends its log is folded into commandHistory as plain
+// actions, so a long game's history stays small enough to save.
+
+import { ACTIONS } from './actions.js'
+import { getCommandFaction } from './commands.js'
+import { hexId } from '../utils/hexMath.js'
+
+// Actions that only change local selection state
+const UI_ACTIONS = [
+  ACTIONS.SELECT_HEX,
+  ACTIONS.CLEAR_SELECTION,
+  ACTIONS.INITIATE_ATTACK,
+  ACTIONS.CANCEL_COMBAT,
+]
+
+// Actions that roll dice or close a phase; undo never crosses them
+const BARRIER_ACTIONS = [
+  ACTIONS.START_GAME,
+  ACTIONS.ADVANCE_PHASE,
+  ACTIONS.END_TURN,
+  ACTIONS.ATTACK,
+  ACTIONS.RESOLVE_COMBAT,
+  ACTIONS.AI_RESOLVE_COMBAT,
+  ACTIONS.DIPLOMATIC_ACTION,
+]
+
+const clearedSelection = {
+  selectedHex: null,
+  selectedUnit: null,
+  validMoves: [],
+  validAttacks: [],
+}
+
+// Whether an action type only affects selection (skipped when stepping replays)
+export const isUIActionType = (type) => UI_ACTIONS.includes(type)
+
+const isUIAction = (entry) => isUIActionType(entry.action.type)
+
+// True if any faction gained vision or exploration it didn't have before
+function revealedHiddenHexes(prevState, nextState) {
+  if (prevState.mapData === nextState.mapData) return false
+  return Object.entries(nextState.mapData).some(([id, hex]) => {
+    const before = prevState.mapData[id]
+    if (!before) return false
+    return Object.keys(hex.visible || {}).some(f => hex.visible[f] && !before.visible?.[f]) ||
+      Object.keys(hex.explored || {}).some(f => hex.explored[f] && !before.explored?.[f])
+  })
+}
+
+// Prior values needed to invert an undoable command
+function captureUndoData(prevState, nextState, action) {
+  switch (action.type) {
+    case ACTIONS.MOVE_UNIT: {
+      const unit = prevState.units.find(u => u.id === action.unitId)
+      const targetId = hexId(action.toQ, action.toR)
+      const hexChanged = prevState.mapData[targetId] !== nextState.mapData[targetId]
+      return { unit, hex: hexChanged ? prevState.mapData[targetId] : null }
+    }
+    case ACTIONS.SET_MOVE_ORDER:
+    case ACTIONS.CANCEL_MOVE_ORDER: {
+      // An order may also move the unit straight away
+      const unit = prevState.units.find(u => u.id === action.unitId)
+      const moved = nextState.units.find(u => u.id === action.unitId)
+      const targetId = hexId(moved.q, moved.r)
+      const hexChanged = prevState.mapData[targetId] !== nextState.mapData[targetId]
+      return { unit, hex: hexChanged ? prevState.mapData[targetId] : null }
+    }
+    case ACTIONS.REINFORCE_UNIT: {
+      const unit = prevState.units.find(u => u.id === action.unitId)
+      return { unit, owner: unit.owner, resources: prevState.factionResources[unit.owner] }
+    }
+    case ACTIONS.START_BUILDING: {
+      const owner = getCommandFaction(prevState, action)
+      return {
+        owner,
+        resources: prevState.factionResources[owner],
+        queueLength: prevState.buildingQueue.length,
+      }
+    }
+    case ACTIONS.START_TRAINING: {
+      const owner = getCommandFaction(prevState, action)
+      return {
+        owner,
+        resources: prevState.factionResources[owner],
+        queueLength: prevState.trainingQueue.length,
+      }
+    }
+    default:
+      return null
+  }
+}
+
+// Restore the state a command replaced
+function invertCommand(state, entry) {
+  const { action, undo } = entry
+
+  switch (action.type) {
+    case ACTIONS.MOVE_UNIT:
+    case ACTIONS.SET_MOVE_ORDER:
+    case ACTIONS.CANCEL_MOVE_ORDER: {
+      const units = state.units.map(u => u.id === undo.unit.id ? undo.unit : u)
+      const mapData = undo.hex ? { ...state.mapData, [undo.hex.id]: undo.hex } : state.mapData
+      return { ...state, units, mapData }
+    }
+    case ACTIONS.REINFORCE_UNIT:
+      return {
+        ...state,
+        units: state.units.map(u => u.id === undo.unit.id ? undo.unit : u),
+        factionResources: { ...state.factionResources, [undo.owner]: undo.resources },
+      }
+    case ACTIONS.START_BUILDING:
+      return {
+        ...state,
+        buildingQueue: state.buildingQueue.slice(0, undo.queueLength),
+        factionResources: { ...state.factionResources, [undo.owner]: undo.resources },
+      }
+    case ACTIONS.START_TRAINING:
+      return {
+        ...state,
+        trainingQueue: state.trainingQueue.slice(0, undo.queueLength),
+        factionResources: { ...state.factionResources, [undo.owner]: undo.resources },
+      }
+    default:
+      return state
+  }
+}
+
+// Index of the most recent command that changed game state
+function findLastCommandIndex(commandLog) {
+  for (let i = commandLog.length - 1; i >= 0; i--) {
+    if (!isUIAction(commandLog[i])) return i
+  }
+  return -1
+}
+
+// The action to replay for a command. A battle the player resolved from the
+// combat modal is recorded as the attack it was, so replays don't depend on
+// the selection that opened the modal.
+function toLoggedAction(prevState, action) {
+  if (action.type !== ACTIONS.RESOLVE_COMBAT || !prevState.pendingCombat) return action
+  const { attacker, defender } = prevState.pendingCombat
+  return {
+    type: ACTIONS.ATTACK,
+    faction: getCommandFaction(prevState, action),
+    attackerId: attacker.id,
+    defenderId: defender.id,
+    attackerDoctrine: action.result?.attackerDoctrine,
+  }
+}
+
+/**
+ * Every action of the game so far, oldest first: closed turns from
+ * commandHistory, then the current turn's log
+ */
+export function getGameActions(state) {
+  return [...(state.commandHistory || []).flat(), ...(state.commandLog || []).map(entry => entry.action)]
+}
+
+/**
+ * Append an accepted action to the log. Selection-only actions are skipped.
+ */
+export function recordCommand(prevState, nextState, action) {
+  if (isUIActionType(action.type)) return nextState
+
+  const entry = {
+    action: toLoggedAction(prevState, action),
+    faction: getCommandFaction(prevState, action),
+    turn: prevState.turn,
+    phase: prevState.phase,
+    barrier: BARRIER_ACTIONS.includes(action.type) || revealedHiddenHexes(prevState, nextState),
+    undo: captureUndoData(prevState, nextState, action),
+  }
+
+  // A new game starts a fresh history
+  if (action.type === ACTIONS.START_GAME) {
+    return { ...nextState, commandHistory: [], commandLog: [entry], redoStack: [] }
+  }
+
+  const commandLog = [...(prevState.commandLog || []), entry]
+  let history = {}
+  if (nextState.turn !== prevState.turn) {
+    // The turn is over: keep only its actions, for replays
+    history = {
+      commandHistory: [...(prevState.commandHistory || []), commandLog.map(e => e.action)],
+      commandLog: [],
+    }
+  } else if (nextState.phase !== prevState.phase) {
+    // Nothing from a closed phase can be undone
+    history = { commandLog: commandLog.map(e => e.undo ? { ...e, undo: null } : e) }
+  }
+
+  return {
+    ...nextState,
+    commandLog,
+    ...history,
+    // Any new state-changing command invalidates redo
+    redoStack: [],
+  }
+}
+
+/**
+ * Whether a faction can undo the last command in the current phase
+ */
+export function canUndo(state, factionId) {
+  const log = state.commandLog || []
+  const entry = log[findLastCommandIndex(log)]
+  if (!entry || !entry.undo || entry.barrier) return false
+  return entry.faction === factionId && entry.turn === state.turn && entry.phase === state.phase
+}
+
+/**
+ * Whether a faction has an undone command to redo
+ */
+export function canRedo(state, factionId) {
+  const entry = state.redoStack?.[state.redoStack.length - 1]
+  return Boolean(entry) && entry.faction === factionId && entry.turn === state.turn && entry.phase === state.phase
+}
+
+/**
+ * Invert the faction's last command and move it to the redo stack
+ */
+export function undoLastCommand(state, factionId) {
+  if (!canUndo(state, factionId)) return state
+
+  const index = findLastCommandIndex(state.commandLog)
+  const entry = state.commandLog[index]
+  const restored = invertCommand(state, entry)
+
+  return {
+    ...restored,
+    ...clearedSelection,
+    commandLog: state.commandLog.filter((_, i) => i !== index),
+    redoStack: [...state.redoStack, entry],
+  }
+}
+
+/**
+ * Take the next command to redo; the caller re-applies its action
+ */
+export function popRedo(state, factionId) {
+  if (!canRedo(state, factionId)) return { entry: null, state }
+  return {
+    entry: state.redoStack[state.redoStack.length - 1],
+    state: { ...state, redoStack: state.redoStack.slice(0, -1) },
+  }
+}
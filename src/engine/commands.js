@@ -0,0 +1,351 @@
+// commands.js - The command layer shared by the UI, the AI and network peers
+// A command is an engine action that names the faction issuing it. Every
+// command is checked against the rules here before the engine applies it, so a
+// move, attack, build, training order or diplomatic action is legal or not no
+// matter where it came from. Rejections are { code, message }.
+
+import { FACTIONS } from '../data/factions.js'
+import { UNITS } from '../data/units.js'
+import { BUILDINGS, TERRAIN_TYPES } from '../data/terrain.js'
+import { hexDistance } from '../utils/hexMath.js'
+import { canMoveWithAbilities, canAttackWithAbilities, isConcealedFrom } from '../utils/abilities.js'
+import { getAvailableDoctrines } from '../utils/combatResolver.js'
+import { ACTIONS, PHASES } from './actions.js'
+import { getActiveBuildings } from './economy.js'
+import { calculateMovementRange, findPath } from './movement.js'
+import { getReinforceBlocker } from './healing.js'
+import { getUnitEngagement } from './sieges.js'
+import { isHexVisible } from './visibility.js'
+import { isAtWar } from './diplomacy.js'
+
+// Units that can only be trained in a territory with an academy
+export const ACADEMY_UNITS = ['tank', 'walker', 'bomber', 'artillery']
+
+// Max units in training per hex
+export const MAX_TRAINING_QUEUE = 3
+
+// Diplomatic actions the engine understands
+export const DIPLOMATIC_ACTION_TYPES = ['improve', 'propose_alliance', 'declare_war']
+
+// Action types that are commands issued by a faction
+export const COMMAND_TYPES = [
+  ACTIONS.MOVE_UNIT,
+  ACTIONS.SET_MOVE_ORDER,
+  ACTIONS.CANCEL_MOVE_ORDER,
+  ACTIONS.REINFORCE_UNIT,
+  ACTIONS.START_BUILDING,
+  ACTIONS.START_TRAINING,
+  ACTIONS.CANCEL_BUILDING,
+  ACTIONS.CANCEL_TRAINING,
+  ACTIONS.ATTACK,
+  ACTIONS.AI_RESOLVE_COMBAT,
+  ACTIONS.RESOLVE_COMBAT,
+  ACTIONS.DIPLOMATIC_ACTION,
+]
+
+// Phases each command may be issued in. Units act while armies march and
+// fight; production and diplomacy have phases of their own.
+const UNIT_PHASES = [PHASES.MOVEMENT, PHASES.COMBAT]
+export const COMMAND_PHASES = {
+  [ACTIONS.MOVE_UNIT]: UNIT_PHASES,
+  [ACTIONS.SET_MOVE_ORDER]: UNIT_PHASES,
+  [ACTIONS.CANCEL_MOVE_ORDER]: UNIT_PHASES,
+  [ACTIONS.REINFORCE_UNIT]: UNIT_PHASES,
+  [ACTIONS.START_BUILDING]: [PHASES.PRODUCTION],
+  [ACTIONS.START_TRAINING]: [PHASES.PRODUCTION],
+  [ACTIONS.CANCEL_BUILDING]: [PHASES.PRODUCTION],
+  [ACTIONS.CANCEL_TRAINING]: [PHASES.PRODUCTION],
+  [ACTIONS.ATTACK]: UNIT_PHASES,
+  [ACTIONS.AI_RESOLVE_COMBAT]: UNIT_PHASES,
+  [ACTIONS.RESOLVE_COMBAT]: UNIT_PHASES,
+  [ACTIONS.DIPLOMATIC_ACTION]: [PHASES.DIPLOMACY],
+}
+
+// Rejection codes
+export const REJECTIONS = {
+  GAME_OVER: 'game_over',
+  UNKNOWN_FACTION: 'unknown_faction',
+  WRONG_PHASE: 'wrong_phase',
+  UNKNOWN_UNIT: 'unknown_unit',
+  NOT_OWNER: 'not_owner',
+  ILLEGAL_MOVE: 'illegal_move',
+  NO_PATH: 'no_path',
+  NO_ORDER: 'no_order',
+  CANNOT_REINFORCE: 'cannot_reinforce',
+  NO_PENDING_COMBAT: 'no_pending_combat',
+  CANNOT_ATTACK: 'cannot_attack',
+  INVALID_TARGET: 'invalid_target',
+  NOT_AT_WAR: 'not_at_war',
+  INVALID_DOCTRINE: 'invalid_doctrine',
+  UNKNOWN_BUILDING: 'unknown_building',
+  UNKNOWN_UNIT_TYPE: 'unknown_unit_type',
+  NOT_OWN_TERRITORY: 'not_own_territory',
+  CANNOT_BUILD_HERE: 'cannot_build_here',
+  BUILDING_LIMIT: 'building_limit',
+  ALREADY_QUEUED: 'already_queued',
+  QUEUE_FULL: 'queue_full',
+  ACADEMY_REQUIRED: 'academy_required',
+  INSUFFICIENT_RESOURCES: 'insufficient_resources',
+  NOT_QUEUED: 'not_queued',
+  UNKNOWN_DIPLOMATIC_ACTION: 'unknown_diplomatic_action',
+  INVALID_DIPLOMATIC_TARGET: 'invalid_diplomatic_target',
+}
+
+const reject = (code, message) => ({ code, message })
+
+const canAfford = (resources = {}, cost = {}) =>
+  Object.entries(cost).every(([res, amount]) => (resources[res] || 0) >= amount)
+
+// ============ LEGAL MOVES & ATTACKS ============
+
+/**
+ * Destination hexes a unit can move to this turn (terrain-aware, see movement.js)
+ */
+export function calculateValidMoves(state, unit) {
+  if (!unit || unit.movedThisTurn || !canMoveWithAbilities(unit)) return []
+
+  const range = calculateMovementRange(state, unit)
+  return Object.values(range)
+    .filter(step => step.cost > 0 && !step.full)
+    .map(({ q, r, cost }) => ({ q, r, cost }))
+}
+
+/**
+ * Whether a unit may open a new attack: once per turn, and not while it leads
+ * an engagement
+ */
+export function canLaunchAttack(state, unit) {
+  return !unit.attackedThisTurn && canAttackWithAbilities(unit) && !getUnitEngagement(state, unit.id)
+}
+
+/**
+ * Enemy units a unit can attack: of a faction at war with its own, in range,
+ * in sight and not concealed. Player and AI alike must declare war first.
+ */
+export function calculateValidAttacks(state, unit) {
+  if (!unit || !canLaunchAttack(state, unit)) return []
+
+  const { units } = state
+  const range = unit.stats?.range || 1
+  const validAttacks = []
+
+  units.forEach(target => {
+    if (!isAtWar(state, unit.owner, target.owner)) return
+    if (!isHexVisible(state.mapData, unit.owner, target.q, target.r)) return
+    if (isConcealedFrom(target, unit)) return
+
+    const distance = hexDistance(unit.q, unit.r, target.q, target.r)
+    if (distance <= range) {
+      validAttacks.push({ q: target.q, r: target.r, targetId: target.id, distance })
+    }
+  })
+
+  return validAttacks
+}
+
+// ============ PRODUCTION RULES ============
+
+/**
+ * Why a faction can't start a building on a hex, or null if it can
+ */
+export function getBuildBlocker(state, owner, targetHexId, buildingType) {
+  const building = BUILDINGS[buildingType]
+  if (!building) return reject(REJECTIONS.UNKNOWN_BUILDING, `Unknown building ${buildingType}`)
+
+  const hex = state.mapData[targetHexId]
+  if (!hex || hex.owner !== owner) return reject(REJECTIONS.NOT_OWN_TERRITORY, 'Must build in your own territory')
+  if (!TERRAIN_TYPES[hex.terrain]?.canBuild?.includes(buildingType)) {
+    return reject(REJECTIONS.CANNOT_BUILD_HERE, `Can't build ${building.name} on ${TERRAIN_TYPES[hex.terrain]?.name || hex.terrain}`)
+  }
+  const built = (hex.buildings || []).filter(b => b === buildingType).length
+  if (building.maxPerTerritory && built >= building.maxPerTerritory) {
+    return reject(REJECTIONS.BUILDING_LIMIT, `${building.name} limit reached`)
+  }
+  if (state.buildingQueue.some(item => item.hexId === targetHexId && item.buildingType === buildingType)) {
+    return reject(REJECTIONS.ALREADY_QUEUED, `${building.name} is already under construction`)
+  }
+  if (!canAfford(state.factionResources[owner], building.cost)) {
+    return reject(REJECTIONS.INSUFFICIENT_RESOURCES, 'Not enough resources')
+  }
+  return null
+}
+
+/**
+ * Why a faction can't train a unit type on a hex, or null if it can
+ */
+export function getTrainBlocker(state, owner, targetHexId, unitType) {
+  const unit = UNITS[unitType]
+  if (!unit) return reject(REJECTIONS.UNKNOWN_UNIT_TYPE, `Unknown unit type ${unitType}`)
+
+  const hex = state.mapData[targetHexId]
+  if (!hex || hex.owner !== owner) return reject(REJECTIONS.NOT_OWN_TERRITORY, 'Must train in your own territory')
+  if (state.trainingQueue.filter(item => item.hexId === targetHexId).length >= MAX_TRAINING_QUEUE) {
+    return reject(REJECTIONS.QUEUE_FULL, `Queue full (${MAX_TRAINING_QUEUE} max)`)
+  }
+  if (ACADEMY_UNITS.includes(unitType) && !getActiveBuildings(hex).includes('academy')) {
+    return reject(REJECTIONS.ACADEMY_REQUIRED, 'Requires Academy')
+  }
+  if (!canAfford(state.factionResources[owner], unit.cost)) {
+    return reject(REJECTIONS.INSUFFICIENT_RESOURCES, 'Not enough resources')
+  }
+  return null
+}
+
+// ============ VALIDATION ============
+
+/**
+ * The faction a command acts for, from what it commands: the unit it moves
+ * or attacks with, the battle waiting to be fought, or the owner it builds
+ * for. Null for commands, such as diplomacy, that only the issuer can name.
+ */
+function getActingFaction(state, command) {
+  switch (command.type) {
+    case ACTIONS.MOVE_UNIT:
+    case ACTIONS.SET_MOVE_ORDER:
+    case ACTIONS.CANCEL_MOVE_ORDER:
+    case ACTIONS.REINFORCE_UNIT:
+      return state.units.find(u => u.id === command.unitId)?.owner || null
+    case ACTIONS.ATTACK:
+    case ACTIONS.AI_RESOLVE_COMBAT:
+      return state.units.find(u => u.id === command.attackerId)?.owner || null
+    case ACTIONS.RESOLVE_COMBAT:
+      return state.pendingCombat?.attacker.owner || null
+    case ACTIONS.START_BUILDING:
+    case ACTIONS.START_TRAINING:
+    case ACTIONS.CANCEL_BUILDING:
+    case ACTIONS.CANCEL_TRAINING:
+      return command.owner || null
+    default:
+      return null
+  }
+}
+
+/**
+ * The faction issuing a command. Commands name it in `faction`; older
+ * recorded actions fall back to what the action itself implies.
+ */
+export function getCommandFaction(state, command) {
+  return command.faction || getActingFaction(state, command) || state.playerFaction
+}
+
+// The commanding faction's own unit, or why it can't be used
+function checkUnit(state, faction, unitId) {
+  const unit = state.units.find(u => u.id === unitId)
+  if (!unit) return { rejection: reject(REJECTIONS.UNKNOWN_UNIT, 'Unit not found') }
+  if (unit.owner !== faction) return { rejection: reject(REJECTIONS.NOT_OWNER, 'Unit belongs to another faction') }
+  return { unit }
+}
+
+function validateAttack(state, faction, attackerId, defenderId, attackerDoctrine) {
+  const { unit: attacker, rejection } = checkUnit(state, faction, attackerId)
+  if (rejection) return rejection
+  if (!canLaunchAttack(state, attacker)) {
+    return reject(REJECTIONS.CANNOT_ATTACK, 'Unit cannot attack again this turn')
+  }
+  const defender = state.units.find(u => u.id === defenderId)
+  if (defender && !isAtWar(state, faction, defender.owner)) {
+    return reject(REJECTIONS.NOT_AT_WAR, `Declare war on ${FACTIONS[defender.owner]?.name || defender.owner} before attacking`)
+  }
+  if (!calculateValidAttacks(state, attacker).some(a => a.targetId === defenderId)) {
+    return reject(REJECTIONS.INVALID_TARGET, 'Target is not in range or not visible')
+  }
+  // The defender's doctrine is the engine's to choose, never the attacker's
+  if (attackerDoctrine && !getAvailableDoctrines(attacker).includes(attackerDoctrine)) {
+    return reject(REJECTIONS.INVALID_DOCTRINE, `Unit cannot use the ${attackerDoctrine} doctrine`)
+  }
+  return null
+}
+
+/**
+ * Check a command against the rules. Returns null if the engine may apply
+ * it, otherwise a { code, message } rejection. Actions that aren't commands
+ * (phase changes, selection, history) always pass.
+ */
+export function validateCommand(state, command) {
+  if (command.type === ACTIONS.START_GAME && !FACTIONS[command.factionId]) {
+    return reject(REJECTIONS.UNKNOWN_FACTION, `Unknown faction ${command.factionId}`)
+  }
+  if (!COMMAND_TYPES.includes(command.type)) return null
+  if (state.gameOver) return reject(REJECTIONS.GAME_OVER, 'The game is over')
+
+  const faction = getCommandFaction(state, command)
+  if (!faction || !state.factionResources[faction]) {
+    return reject(REJECTIONS.UNKNOWN_FACTION, `Unknown faction ${faction}`)
+  }
+  // A command may only act for the faction that issues it
+  const acting = getActingFaction(state, command)
+  if (acting && acting !== faction) {
+    return reject(REJECTIONS.NOT_OWNER, `${FACTIONS[faction]?.name || faction} cannot command ${FACTIONS[acting]?.name || acting}`)
+  }
+  if (!COMMAND_PHASES[command.type].includes(state.phase)) {
+    return reject(REJECTIONS.WRONG_PHASE, `Not allowed in the ${state.phase} phase`)
+  }
+
+  switch (command.type) {
+    case ACTIONS.MOVE_UNIT: {
+      const { unit, rejection } = checkUnit(state, faction, command.unitId)
+      if (rejection) return rejection
+      const legal = calculateValidMoves(state, unit).some(m => m.q === command.toQ && m.r === command.toR)
+      return legal ? null : reject(REJECTIONS.ILLEGAL_MOVE, `Cannot move to ${command.toQ},${command.toR}`)
+    }
+
+    case ACTIONS.SET_MOVE_ORDER: {
+      const { unit, rejection } = checkUnit(state, faction, command.unitId)
+      if (rejection) return rejection
+      return findPath(state, unit, command.toQ, command.toR)
+        ? null
+        : reject(REJECTIONS.NO_PATH, `No route to ${command.toQ},${command.toR}`)
+    }
+
+    case ACTIONS.CANCEL_MOVE_ORDER: {
+      const { unit, rejection } = checkUnit(state, faction, command.unitId)
+      if (rejection) return rejection
+      return unit.moveOrder ? null : reject(REJECTIONS.NO_ORDER, 'Unit has no standing order')
+    }
+
+    case ACTIONS.REINFORCE_UNIT: {
+      const { unit, rejection } = checkUnit(state, faction, command.unitId)
+      if (rejection) return rejection
+      const blocker = getReinforceBlocker(state, unit)
+      return blocker ? reject(REJECTIONS.CANNOT_REINFORCE, blocker) : null
+    }
+
+    case ACTIONS.ATTACK:
+    case ACTIONS.AI_RESOLVE_COMBAT:
+      return validateAttack(state, faction, command.attackerId, command.defenderId, command.attackerDoctrine)
+
+    case ACTIONS.RESOLVE_COMBAT: {
+      const { pendingCombat } = state
+      if (!pendingCombat) return reject(REJECTIONS.NO_PENDING_COMBAT, 'No battle is waiting to be fought')
+      return validateAttack(state, faction, pendingCombat.attacker.id, pendingCombat.defender.id, command.result?.attackerDoctrine)
+    }
+
+    case ACTIONS.START_BUILDING:
+      return getBuildBlocker(state, faction, command.hexId, command.buildingType)
+
+    case ACTIONS.START_TRAINING:
+      return getTrainBlocker(state, faction, command.hexId, command.unitType)
+
+    case ACTIONS.CANCEL_BUILDING:
+    case ACTIONS.CANCEL_TRAINING: {
+      const queue = command.type === ACTIONS.CANCEL_BUILDING ? state.buildingQueue : state.trainingQueue
+      const itemType = command.type === ACTIONS.CANCEL_BUILDING ? 'buildingType' : 'unitType'
+      const queued = queue.some(item =>
+        item.hexId === command.hexId && item[itemType] === command[itemType] && item.owner === faction
+      )
+      return queued ? null : reject(REJECTIONS.NOT_QUEUED, 'Nothing to cancel')
+    }
+
+    case ACTIONS.DIPLOMATIC_ACTION:
+      if (!DIPLOMATIC_ACTION_TYPES.includes(command.actionType)) {
+        return reject(REJECTIONS.UNKNOWN_DIPLOMATIC_ACTION, `Unknown diplomatic action ${command.actionType}`)
+      }
+      if (command.targetFaction === faction || !state.factionResources[command.targetFaction]) {
+        return reject(REJECTIONS.INVALID_DIPLOMATIC_TARGET, 'Invalid diplomatic target')
+      }
+      return null
+
+    default:
+      return null
+  }
+}
@@ -0,0 +1,249 @@
+// diplomacy.js - Opinions between factions and the AI's diplomatic decisions
+// Relations run hostile (at war), neutral, friendly, allied. Each faction holds
+// an opinion of every other, from -100 to 100, built from relative strength,
+// shared borders, recent attacks and its aiTraits.diplomacy. Opinion decides
+// whether a proposal is accepted, and drives the wars, ceasefires and
+// alliances AI factions start with each other.
+
+import { FACTIONS, DIPLOMATIC_ACTIONS } from '../data/factions.js'
+import { UNITS } from '../data/units.js'
+import { hexId, getHexNeighbors } from '../utils/hexMath.js'
+import { ACTIONS } from './actions.js'
+
+// Attacks are remembered for this many turns, fading as they age
+export const GRIEVANCE_TURNS = 5
+export const ATTACK_GRIEVANCE = 25
+// Opinion lost per hex of shared border (up to a cap), scaled by expansion
+export const BORDER_FRICTION = 3
+export const MAX_BORDER_HEXES = 6
+// A ceasefire holds AI factions to peace for this many turns
+export const TRUCE_TURNS = 5
+// Diplomatic events kept for the Diplomacy panel
+export const DIPLOMATIC_LOG_SIZE = 10
+
+// Opinions at which an AI faction acts. War and peace thresholds shift with
+// aggression, friendship thresholds with the diplomacy trait.
+export const WAR_OPINION = -30
+export const CEASEFIRE_OPINION = -10
+export const OUTREACH_OPINION = 25
+export const ALLIANCE_OPINION = 45
+// An AI fighting this share of the combined strength or more wants peace
+export const OUTMATCHED_SHARE = 0.65
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value))
+
+// ============ RELATIONS ============
+
+export function getRelation(state, factionId, otherId) {
+  return state.relations?.[factionId]?.[otherId] || 'neutral'
+}
+
+export function isAtWar(state, factionId, otherId) {
+  return factionId !== otherId && getRelation(state, factionId, otherId) === 'hostile'
+}
+
+/**
+ * Set the relation between two factions, both ways
+ */
+export function setRelation(relations, factionId, otherId, relation) {
+  return {
+    ...relations,
+    [factionId]: { ...relations[factionId], [otherId]: relation },
+    [otherId]: { ...relations[otherId], [factionId]: relation },
+  }
+}
+
+/**
+ * Remember an attack so the victim holds it against the attacker
+ */
+export function recordAttack(state, attackerOwner, defenderOwner) {
+  if (!attackerOwner || !defenderOwner || attackerOwner === defenderOwner) return state
+  return {
+    ...state,
+    recentAttacks: [...(state.recentAttacks || []), { attacker: attackerOwner, defender: defenderOwner, turn: state.turn }],
+  }
+}
+
+/**
+ * Drop attacks that have been forgiven by the given turn
+ */
+export function pruneAttacks(recentAttacks, turn) {
+  return (recentAttacks || []).filter(attack => turn - attack.turn < GRIEVANCE_TURNS)
+}
+
+/**
+ * Start a truce between two factions after a ceasefire
+ */
+export function addTruce(state, factionId, otherId) {
+  return [...(state.truces || []), { factions: [factionId, otherId], until: state.turn + TRUCE_TURNS }]
+}
+
+/**
+ * The turn a truce between two factions runs out, or null if there is none
+ */
+export function getTruceEnd(state, factionId, otherId) {
+  const truce = (state.truces || []).find(t =>
+    t.factions.includes(factionId) && t.factions.includes(otherId) && state.turn < t.until
+  )
+  return truce ? truce.until : null
+}
+
+/**
+ * Drop truces that have run out by the given turn
+ */
+export function pruneTruces(truces, turn) {
+  return (truces || []).filter(truce => turn < truce.until)
+}
+
+// ============ OPINION ============
+
+/**
+ * Fighting strength of a faction's units, weighted by health
+ */
+export function getFactionStrength(units, factionId) {
+  return units
+    .filter(u => u.owner === factionId)
+    .reduce((sum, u) => {
+      const stats = UNITS[u.type]?.stats
+      return sum + ((stats?.attack || 0) + (stats?.defense || 0)) * (u.health ?? 100) / 100
+    }, 0)
+}
+
+/**
+ * Hexes of one faction that touch the other's territory
+ */
+export function countSharedBorder(mapData, factionId, otherId) {
+  return Object.values(mapData).filter(hex =>
+    hex.owner === factionId && getHexNeighbors(hex.q, hex.r).some(n => mapData[hexId(n.q, n.r)]?.owner === otherId)
+  ).length
+}
+
+/**
+ * What one faction thinks of another, from -100 to 100. Returns the total and
+ * the contributing factors: { opinion, factors: { trait, strength, border, attacks, relation, commonEnemy } }.
+ */
+export function calculateOpinion(state, factionId, otherId) {
+  const traits = FACTIONS[factionId]?.aiTraits || { aggression: 0.5, expansion: 0.5, diplomacy: 0.5 }
+  const factors = {}
+
+  // Diplomatic factions start out warmer
+  factors.trait = (traits.diplomacy - 0.5) * 40
+
+  // Cautious factions respect strong neighbours; aggressive ones see weak ones as prey
+  const own = getFactionStrength(state.units, factionId)
+  const theirs = getFactionStrength(state.units, otherId)
+  const share = own + theirs > 0 ? theirs / (own + theirs) : 0.5
+  factors.strength = share > 0.5
+    ? (share - 0.5) * 60 * (1 - traits.aggression)
+    : -(0.5 - share) * 60 * traits.aggression
+
+  // Neighbours compete for land
+  const border = Math.min(MAX_BORDER_HEXES, countSharedBorder(state.mapData, factionId, otherId))
+  factors.border = -border * BORDER_FRICTION * traits.expansion
+
+  // Recent attacks by them on us, fading with age
+  factors.attacks = -(state.recentAttacks || [])
+    .filter(attack => attack.attacker === otherId && attack.defender === factionId)
+    .reduce((sum, attack) => sum + ATTACK_GRIEVANCE * Math.max(0, 1 - (state.turn - attack.turn) / GRIEVANCE_TURNS), 0)
+
+  // Standing relations carry some goodwill or resentment
+  const relationBias = { hostile: -10, neutral: 0, friendly: 10, allied: 20 }
+  factors.relation = relationBias[getRelation(state, factionId, otherId)] || 0
+
+  // The enemy of my enemy
+  const commonEnemy = Object.keys(state.factionResources || {}).some(thirdId =>
+    thirdId !== factionId && thirdId !== otherId && isAtWar(state, factionId, thirdId) && isAtWar(state, otherId, thirdId)
+  )
+  factors.commonEnemy = commonEnemy ? 10 : 0
+
+  const opinion = clamp(Math.round(Object.values(factors).reduce((sum, value) => sum + value, 0)), -100, 100)
+  return { opinion, factors }
+}
+
+/**
+ * Short label for an opinion value
+ */
+export function getOpinionLabel(opinion) {
+  if (opinion >= ALLIANCE_OPINION) return 'Admiring'
+  if (opinion >= OUTREACH_OPINION) return 'Warm'
+  if (opinion > CEASEFIRE_OPINION) return 'Indifferent'
+  if (opinion > WAR_OPINION) return 'Wary'
+  return 'Hostile'
+}
+
+// ============ PROPOSALS ============
+
+/**
+ * The DIPLOMATIC_ACTIONS entry that prices and rates an action, given the
+ * current relation: outreach to a faction at war is a ceasefire proposal
+ */
+export function getDiplomaticAction(actionType, relation) {
+  if (actionType === 'propose_alliance') return DIPLOMATIC_ACTIONS.PROPOSE_ALLIANCE
+  if (actionType === 'declare_war') return DIPLOMATIC_ACTIONS.DECLARE_WAR
+  return relation === 'hostile' ? DIPLOMATIC_ACTIONS.PROPOSE_CEASEFIRE : DIPLOMATIC_ACTIONS.IMPROVE_RELATIONS
+}
+
+/**
+ * Chance that a faction accepts another's proposal: the proposal's base
+ * chance, moved up or down by what the target thinks of the proposer
+ */
+export function getAcceptanceChance(state, targetId, proposerId, actionType) {
+  const proposal = getDiplomaticAction(actionType, getRelation(state, proposerId, targetId))
+  const { opinion } = calculateOpinion(state, targetId, proposerId)
+  return clamp((proposal.successChance ?? 0.5) + opinion / 100, 0.05, 0.95)
+}
+
+// ============ AI ============
+
+function canAfford(resources, cost) {
+  return Object.entries(cost || {}).every(([res, amount]) => (resources?.[res] || 0) >= amount)
+}
+
+/**
+ * The diplomatic commands an AI faction issues this turn: at most one
+ * initiative, the most pressing of war, ceasefire, alliance or outreach.
+ * Wars can be declared on anyone not under truce; proposals only go to other
+ * AI factions, since the player answers for themselves.
+ */
+export function planDiplomacy(state, factionId) {
+  const faction = FACTIONS[factionId]
+  const resources = state.factionResources?.[factionId]
+  if (!faction || !resources) return []
+  const traits = faction.aiTraits
+
+  const others = Object.keys(state.factionResources).filter(id => id !== factionId)
+  const wars = others.filter(id => isAtWar(state, factionId, id)).length
+  const maxWars = traits.aggression > 0.6 ? 2 : 1
+  const initiatives = []
+
+  others.forEach(otherId => {
+    const relation = getRelation(state, factionId, otherId)
+    const { opinion } = calculateOpinion(state, factionId, otherId)
+    const isAI = otherId !== state.playerFaction
+
+    if (relation === 'hostile') {
+      const own = getFactionStrength(state.units, factionId)
+      const theirs = getFactionStrength(state.units, otherId)
+      const outmatched = own + theirs > 0 && theirs / (own + theirs) >= OUTMATCHED_SHARE
+      const peaceful = opinion > CEASEFIRE_OPINION + traits.aggression * 20
+      if (isAI && (outmatched || peaceful)) {
+        initiatives.push({ actionType: 'improve', otherId, urgency: 2 + (outmatched ? 1 : 0) })
+      }
+    } else if (relation !== 'allied') {
+      if (wars < maxWars && !getTruceEnd(state, factionId, otherId) && opinion < WAR_OPINION + traits.aggression * 30) {
+        initiatives.push({ actionType: 'declare_war', otherId, urgency: 3 - opinion / 100 })
+      } else if (isAI && relation === 'friendly' && opinion > ALLIANCE_OPINION - traits.diplomacy * 20) {
+        initiatives.push({ actionType: 'propose_alliance', otherId, urgency: 1 + opinion / 100 })
+      } else if (isAI && relation === 'neutral' && opinion > OUTREACH_OPINION - traits.diplomacy * 20) {
+        initiatives.push({ actionType: 'improve', otherId, urgency: opinion / 100 })
+      }
+    }
+  })
+
+  const chosen = initiatives
+    .filter(({ actionType, otherId }) => canAfford(resources, getDiplomaticAction(actionType, getRelation(state, factionId, otherId)).cost))
+    .sort((a, b) => b.urgency - a.urgency)[0]
+
+  if (!chosen) return []
+  return [{ type: ACTIONS.DIPLOMATIC_ACTION, faction: factionId, targetFaction: chosen.otherId, actionType: chosen.actionType }]
+}
@@ -0,0 +1,204 @@
+// economy.js - Per-turn income, unit upkeep and building maintenance
+// Factions that can't pay take buildings offline, then lose units to desertion;
+// every unpaid turn also costs their armies morale. Armies and populated hexes
+// eat grain; a faction that runs out starves.
+
+import { STARTING_RESOURCES, getCurrentSeason, getDifficulty } from '../data/mapData.js'
+import { FACTIONS } from '../data/factions.js'
+import { UNITS } from '../data/units.js'
+import { BUILDINGS, TERRAIN_TYPES } from '../data/terrain.js'
+
+export const MORALE_MAX = 100
+export const MORALE_DEFICIT_LOSS = 15
+export const MORALE_RECOVERY = 10
+export const STARVATION_DAMAGE = 15
+export const STARVATION_YIELD_MULTIPLIER = 0.5
+// Taxes and stores flowing to the seat of government, on top of the capital
+// hex's own yield; enough to keep a faction's starting army paid and fed
+export const CAPITAL_YIELD = { gold: 10, iron: 2, grain: 7 }
+
+function addResources(target, amounts, multiplier = 1) {
+  Object.entries(amounts || {}).forEach(([res, amt]) => {
+    target[res] = (target[res] || 0) + amt * multiplier
+  })
+  return target
+}
+
+/**
+ * Buildings on a hex that are currently running (not shut down for lack of gold)
+ */
+export function getActiveBuildings(hex) {
+  const offline = [...(hex?.offlineBuildings || [])]
+  return (hex?.buildings || []).filter(id => {
+    const index = offline.indexOf(id)
+    if (index === -1) return true
+    offline.splice(index, 1)
+    return false
+  })
+}
+
+/**
+ * Per-turn economy breakdown for one faction:
+ * { territory, buildings, bonus, difficulty, upkeep, maintenance, population, net }
+ * Capitals add CAPITAL_YIELD to their territory resources. Hexes left
+ * starving last turn yield half their territory resources. AI
+ * factions have their income scaled by the game's difficulty level.
+ */
+export function calculateEconomy(state, factionId) {
+  const { mapData, units } = state
+  const season = getCurrentSeason(state.turn)
+  const territory = { gold: 0, iron: 0, grain: 0 }
+  const buildings = {}
+  const maintenance = {}
+  const upkeep = {}
+  const population = { grain: 0 }
+
+  Object.values(mapData).forEach(hex => {
+    if (hex.owner !== factionId) return
+    const yieldMultiplier = hex.starving ? STARVATION_YIELD_MULTIPLIER : 1
+    const capital = hex.isCapital ? CAPITAL_YIELD : {}
+    territory.gold += ((hex.resources?.gold || 0) + (capital.gold || 0)) * yieldMultiplier
+    territory.iron += ((hex.resources?.iron || 0) + (capital.iron || 0)) * yieldMultiplier
+    territory.grain += ((hex.resources?.grain || 0) + (capital.grain || 0)) * (season.effects.grainProduction ?? 1) * yieldMultiplier
+    population.grain += TERRAIN_TYPES[hex.terrain]?.population || 0
+
+    getActiveBuildings(hex).forEach(buildingId => {
+      const building = BUILDINGS[buildingId]
+      addResources(buildings, building?.production)
+      addResources(maintenance, building?.maintenance)
+    })
+  })
+
+  units.forEach(unit => {
+    if (unit.owner === factionId) addResources(upkeep, UNITS[unit.type]?.upkeep)
+  })
+
+  // Faction bonuses apply to gold income only
+  const bonus = { gold: 0 }
+  const faction = FACTIONS[factionId]
+  if (faction?.bonuses?.territoryIncomeBonus) {
+    bonus.gold = (territory.gold + (buildings.gold || 0)) * faction.bonuses.territoryIncomeBonus
+  }
+
+  // Difficulty handicap or bonus on AI income
+  const income = addResources(addResources({ ...territory }, buildings), bonus)
+  const difficulty = {}
+  if (state.playerFaction && factionId !== state.playerFaction) {
+    addResources(difficulty, income, getDifficulty(state.difficulty).aiIncomeMultiplier - 1)
+  }
+
+  const net = addResources(addResources({ ...income }, difficulty), upkeep, -1)
+  addResources(net, maintenance, -1)
+  addResources(net, population, -1)
+
+  return { territory, buildings, bonus, difficulty, upkeep, maintenance, population, net }
+}
+
+// Gold saved per turn by shutting a building down
+function shutdownSavings(buildingId) {
+  const building = BUILDINGS[buildingId]
+  return (building?.maintenance?.gold || 0) - (building?.production?.gold || 0)
+}
+
+/**
+ * Apply one turn of income and costs for every faction.
+ * Returns { factionResources, mapData, units, economyReports }.
+ */
+export function processEconomy(state) {
+  const factionResources = {}
+  const economyReports = {}
+  // Every building comes back online at the start of the turn if it can be paid for
+  const mapData = Object.fromEntries(Object.entries(state.mapData).map(([key, hex]) => [
+    key,
+    hex.offlineBuildings?.length ? { ...hex, offlineBuildings: [] } : hex,
+  ]))
+  let units = state.units
+
+  Object.keys(FACTIONS).forEach(factionId => {
+    const current = state.factionResources[factionId] || STARTING_RESOURCES
+    const economy = calculateEconomy({ ...state, mapData, units }, factionId)
+    let gold = current.gold + economy.net.gold
+    const grain = current.grain + economy.net.grain
+    const report = { deficit: gold < 0, buildingsOffline: 0, deserted: 0, starving: grain < 0, starved: 0 }
+
+    // Shut down the costliest buildings first
+    if (gold < 0) {
+      const candidates = []
+      Object.entries(mapData).forEach(([key, hex]) => {
+        if (hex.owner !== factionId) return
+        ;(hex.buildings || []).forEach(buildingId => {
+          const savings = shutdownSavings(buildingId)
+          if (savings > 0) candidates.push({ key, buildingId, savings })
+        })
+      })
+      candidates.sort((a, b) => b.savings - a.savings)
+
+      for (const { key, buildingId, savings } of candidates) {
+        if (gold >= 0) break
+        const hex = mapData[key]
+        mapData[key] = { ...hex, offlineBuildings: [...(hex.offlineBuildings || []), buildingId] }
+        gold += savings
+        report.buildingsOffline++
+      }
+    }
+
+    // Unpaid troops desert, least loyal and most expensive first
+    if (gold < 0) {
+      const deserters = new Set()
+      const candidates = units
+        .filter(u => u.owner === factionId)
+        .sort((a, b) =>
+          (a.morale ?? MORALE_MAX) - (b.morale ?? MORALE_MAX) ||
+          (UNITS[b.type]?.upkeep?.gold || 0) - (UNITS[a.type]?.upkeep?.gold || 0)
+        )
+
+      for (const unit of candidates) {
+        if (gold >= 0) break
+        deserters.add(unit.id)
+        gold += UNITS[unit.type]?.upkeep?.gold || 0
+        report.deserted++
+      }
+      units = units.filter(u => !deserters.has(u.id))
+    }
+
+    // Morale falls while pay is short and recovers once it resumes
+    units = units.map(u => {
+      if (u.owner !== factionId) return u
+      const morale = u.morale ?? MORALE_MAX
+      const nextMorale = report.deficit
+        ? Math.max(0, morale - MORALE_DEFICIT_LOSS)
+        : Math.min(MORALE_MAX, morale + MORALE_RECOVERY)
+      return nextMorale === morale ? u : { ...u, morale: nextMorale }
+    })
+
+    // Hungry armies lose strength; the weakest die of starvation
+    if (report.starving) {
+      units = units.flatMap(u => {
+        if (u.owner !== factionId) return [u]
+        const health = u.health - STARVATION_DAMAGE
+        if (health <= 0) {
+          report.starved++
+          return []
+        }
+        return [{ ...u, health }]
+      })
+    }
+
+    // Populated hexes go hungry, cutting next turn's yield
+    Object.entries(mapData).forEach(([key, hex]) => {
+      if (hex.owner !== factionId) return
+      const starving = report.starving && (TERRAIN_TYPES[hex.terrain]?.population || 0) > 0
+      if (Boolean(hex.starving) !== starving) mapData[key] = { ...hex, starving }
+    })
+
+    factionResources[factionId] = {
+      gold: Math.max(0, Math.floor(gold)),
+      iron: Math.max(0, Math.floor(current.iron + economy.net.iron)),
+      grain: Math.max(0, Math.floor(grain)),
+      influence: Math.floor((current.influence || 0) + (economy.net.influence || 0)),
+    }
+    economyReports[factionId] = report
+  })
+
+  return { factionResources, mapData, units, economyReports }
+}
@@ -0,0 +1,956 @@
+// gameEngine.js - Headless game rules for The Fractured Sphere
+// Pure state transitions with no React dependency, so the same rules can run
+// in the browser, in Node simulations, in tests or on a server.
+// Includes building queue, training queue, combat, and diplomacy
+
+import { generateMapData, STARTING_RESOURCES, FACTION_STARTS, DEFAULT_DIFFICULTY, getDifficulty } from '../data/mapData.js'
+import { FACTIONS } from '../data/factions.js'
+import { UNITS } from '../data/units.js'
+import { BUILDINGS } from '../data/terrain.js'
+import { hexId } from '../utils/hexMath.js'
+import { createRandom, seedRandom } from '../utils/random.js'
+import { previewStackCombat, resolveCombat, getRecommendedDoctrine } from '../utils/combatResolver.js'
+import { PHASES, PHASE_ORDER, ACTIONS } from './actions.js'
+import { recordCommand, undoLastCommand, popRedo } from './commandLog.js'
+import { processEconomy, getActiveBuildings, MORALE_MAX } from './economy.js'
+import { processSupply, calculateSupply, isInSupply } from './supply.js'
+import { calculateMovementRange, findPath, resolveMove } from './movement.js'
+import { hasStackRoom, getBattleStacks } from './stacks.js'
+import { awardExperience, getTrainingVeterancyBonus } from './veterancy.js'
+import { processHealing, reinforceUnit } from './healing.js'
+import { applyRetreatAndAdvance } from './retreat.js'
+import { isProlongedDoctrine, startEngagement, processEngagements } from './sieges.js'
+import { updateVisibility, updateIntel } from './visibility.js'
+import {
+  getRelation, setRelation, isAtWar, getDiplomaticAction, getAcceptanceChance,
+  recordAttack, pruneAttacks, addTruce, pruneTruces, DIPLOMATIC_LOG_SIZE,
+} from './diplomacy.js'
+import { validateCommand, getCommandFaction, calculateValidMoves, calculateValidAttacks, canLaunchAttack } from './commands.js'
+
+export { calculateValidMoves, calculateValidAttacks } from './commands.js'
+import { ALL_VICTORY_CONDITIONS, evaluateVictory, calculateStandings } from './victory.js'
+
+export { PHASES, PHASE_ORDER, ACTIONS }
+
+export const DEFAULT_SEED = 42
+
+// Generate unique IDs from the game's counter and random stream
+function createIdGenerator(nextUnitId, random) {
+  let counter = nextUnitId
+  return {
+    generate: () => `unit_${counter++}_${random.nextInt(0x100000000).toString(36)}`,
+    getNext: () => counter,
+  }
+}
+
+// Create initial units for a faction
+function createStartingUnits(factionId, ids) {
+  const faction = FACTIONS[factionId]
+  const startPos = FACTION_STARTS[factionId]
+  if (!faction || !startPos) return []
+  
+  return (faction.startingUnits || ['infantry', 'infantry']).map(unitType => {
+    const unitDef = UNITS[unitType]
+    if (!unitDef) return null
+    return {
+      id: ids.generate(),
+      type: unitType,
+      owner: factionId,
+      q: startPos.q,
+      r: startPos.r,
+      stats: { ...unitDef.stats },
+      experience: 0,
+      veterancy: 'green',
+      movedThisTurn: false,
+      attackedThisTurn: false,
+      health: 100,
+      morale: MORALE_MAX,
+    }
+  }).filter(Boolean)
+}
+
+// Create initial game state
+export function createInitialState() {
+  return {
+    gameStarted: false,
+    gameOver: false,
+    winner: null,
+    // Victory: enabled condition ids, and { condition, turn, standings } once decided
+    victoryConditions: ALL_VICTORY_CONDITIONS,
+    victory: null,
+    // AI difficulty level id (see DIFFICULTY_LEVELS)
+    difficulty: DEFAULT_DIFFICULTY,
+    playerFaction: null,
+    turn: 1,
+    phase: PHASES.PRODUCTION,
+    phaseIndex: 0,
+    // Randomness: the seed plus the current generator state
+    seed: DEFAULT_SEED,
+    rng: seedRandom(DEFAULT_SEED),
+    nextUnitId: 1,
+    mapData: {},
+    units: [],
+    factionResources: {},
+    relations: {},
+    selectedHex: null,
+    selectedUnit: null,
+    validMoves: [],
+    validAttacks: [],
+    pendingCombat: null,
+    // Queues
+    buildingQueue: [],
+    trainingQueue: [],
+    // Economy: last turn's shortfall consequences per faction
+    economyReports: {},
+    // Units lost to out-of-supply attrition last turn, per faction
+    supplyLosses: {},
+    // Veterancy promotions earned this turn: [{ unitId, unitType, owner, from, to, turn }]
+    promotions: [],
+    // Multi-turn sieges and attrition (see sieges.js), and how they ended last turn
+    engagements: [],
+    siegeReports: [],
+    // Last-known enemy units and buildings per faction (see visibility.js)
+    intel: {},
+    // Why the last command was turned away: { code, message, type, faction }
+    lastRejection: null,
+    // Diplomacy: recent attacks feed each faction's opinion of the attacker (see diplomacy.js)
+    lastDiplomaticResult: null,
+    diplomaticLog: [],
+    recentAttacks: [],
+    // Ceasefires AI factions honour: [{ factions: [a, b], until }]
+    truces: [],
+    // History (undo/redo and replay): the current turn's log, and the
+    // actions of every closed turn (see commandLog.js)
+    commandLog: [],
+    commandHistory: [],
+    redoStack: [],
+  }
+}
+
+// Initialize game with all factions
+function initializeGame(playerFactionId, seed = DEFAULT_SEED, victoryConditions = ALL_VICTORY_CONDITIONS, difficultyId = DEFAULT_DIFFICULTY) {
+  const difficulty = getDifficulty(difficultyId)
+  const random = createRandom(seedRandom(seed))
+  const mapData = generateMapData(random)
+  const ids = createIdGenerator(1, random)
+  const allUnits = []
+  const factionResources = {}
+  const relations = {}
+  
+  Object.keys(FACTIONS).forEach(factionId => {
+    factionResources[factionId] = { ...STARTING_RESOURCES }
+    // AI factions start with the difficulty's handicap or head start
+    if (factionId !== playerFactionId) {
+      Object.entries(difficulty.aiStartingResources).forEach(([res, amount]) => {
+        factionResources[factionId][res] = Math.max(0, (factionResources[factionId][res] || 0) + amount)
+      })
+    }
+    const units = createStartingUnits(factionId, ids)
+    allUnits.push(...units)
+    
+    relations[factionId] = {}
+    Object.keys(FACTIONS).forEach(otherId => {
+      if (otherId !== factionId) {
+        relations[factionId][otherId] = 'neutral'
+      }
+    })
+  })
+  
+  return {
+    ...createInitialState(),
+    gameStarted: true,
+    playerFaction: playerFactionId,
+    victoryConditions: victoryConditions.filter(id => ALL_VICTORY_CONDITIONS.includes(id)),
+    difficulty: difficulty.id,
+    seed,
+    rng: random.getState(),
+    nextUnitId: ids.getNext(),
+    mapData,
+    units: allUnits,
+    factionResources,
+    relations,
+  }
+}
+
+// Process production: income minus upkeep and maintenance for every faction,
+// with AI income scaled by the difficulty level
+export function processProduction(state) {
+  return processEconomy(state).factionResources
+}
+
+// Give a faction back the full cost of a project it lost, not one it cancelled
+function refundCost(factionResources, owner, cost) {
+  const resources = { ...factionResources[owner] }
+  Object.entries(cost || {}).forEach(([res, amount]) => {
+    resources[res] = (resources[res] || 0) + amount
+  })
+  return { ...factionResources, [owner]: resources }
+}
+
+// Process building queue. Work on a hex the faction no longer holds is
+// abandoned and refunded.
+export function processBuildingQueue(state) {
+  const { buildingQueue, mapData } = state
+  const completedBuildings = []
+  const remainingQueue = []
+  let factionResources = state.factionResources
+  
+  buildingQueue.forEach(item => {
+    if (mapData[item.hexId]?.owner !== item.owner) {
+      factionResources = refundCost(factionResources, item.owner, BUILDINGS[item.buildingType]?.cost)
+      return
+    }
+    const remaining = item.turnsRemaining - 1
+    if (remaining <= 0) {
+      completedBuildings.push(item)
+    } else {
+      remainingQueue.push({ ...item, turnsRemaining: remaining })
+    }
+  })
+  
+  const updatedMapData = { ...mapData }
+  completedBuildings.forEach(item => {
+    const hex = updatedMapData[item.hexId]
+    if (hex) {
+      updatedMapData[item.hexId] = {
+        ...hex,
+        buildings: [...(hex.buildings || []), item.buildingType]
+      }
+    }
+  })
+  
+  return { buildingQueue: remainingQueue, mapData: updatedMapData, factionResources }
+}
+
+// Process training queue. Training on a hex the faction has lost, or that
+// enemy units stand on, is abandoned and refunded.
+export function processTrainingQueue(state, ids) {
+  const { trainingQueue, units, mapData } = state
+  const completedUnits = []
+  const remainingQueue = []
+  let factionResources = state.factionResources
+  
+  trainingQueue.forEach(item => {
+    const [q, r] = item.hexId.split(',').map(Number)
+    const contested = units.some(u => u.q === q && u.r === r && isAtWar(state, item.owner, u.owner))
+    if (mapData[item.hexId]?.owner !== item.owner || contested) {
+      factionResources = refundCost(factionResources, item.owner, UNITS[item.unitType]?.cost)
+      return
+    }
+    const remaining = item.turnsRemaining - 1
+    if (remaining <= 0) {
+      completedUnits.push(item)
+    } else {
+      remainingQueue.push({ ...item, turnsRemaining: remaining })
+    }
+  })
+  
+  const newUnits = [...units]
+  completedUnits.forEach(item => {
+    const [q, r] = item.hexId.split(',').map(Number)
+    const unitDef = UNITS[item.unitType]
+    // A full stack holds the finished unit in the queue until there's room
+    if (unitDef && !hasStackRoom({ ...state, units: newUnits }, item.owner, q, r)) {
+      remainingQueue.push({ ...item, turnsRemaining: 1 })
+      return
+    }
+    if (unitDef) {
+      newUnits.push({
+        id: ids.generate(),
+        type: item.unitType,
+        owner: item.owner,
+        q, r,
+        stats: { ...unitDef.stats },
+        experience: 0,
+        veterancy: 'green',
+        // Academy graduates gain experience faster for the rest of their service
+        veterancyBonus: getTrainingVeterancyBonus(state.mapData[item.hexId]),
+        movedThisTurn: true,
+        attackedThisTurn: true,
+        health: 100,
+        morale: MORALE_MAX,
+      })
+    }
+  })
+  
+  return { trainingQueue: remainingQueue, units: newUnits, factionResources }
+}
+
+// Move a unit along its standing order as far as it can go this turn.
+// The order is dropped on arrival, or when no route or progress is possible.
+function advanceMoveOrder(state, unitId) {
+  const unit = state.units.find(u => u.id === unitId)
+  if (!unit?.moveOrder || unit.movedThisTurn) return state
+  
+  const { q, r } = unit.moveOrder
+  const setOrder = (s, moveOrder) => ({
+    ...s,
+    units: s.units.map(u => u.id === unitId ? { ...u, moveOrder } : u),
+  })
+  
+  const path = findPath(state, unit, q, r)
+  if (!path) return setOrder(state, null)
+  
+  // Furthest hex along the route reachable this turn
+  const range = calculateMovementRange(state, unit)
+  let target = null
+  for (const step of path) {
+    const reached = range[hexId(step.q, step.r)]
+    if (!reached) break
+    // Full friendly stacks are passed through, not stopped on
+    if (!reached.full) target = step
+  }
+  if (!target) return setOrder(state, null)
+  
+  const moved = applyAction(state, { type: ACTIONS.MOVE_UNIT, unitId, toQ: target.q, toR: target.r })
+  // A move cut short by hidden enemies keeps its order
+  const arrivedUnit = moved.units.find(u => u.id === unitId)
+  const arrived = arrivedUnit?.q === q && arrivedUnit?.r === r
+  return setOrder(moved, arrived ? null : unit.moveOrder)
+}
+
+// Carry out every standing move order at the start of the movement phase
+function continueMoveOrders(state) {
+  return state.units
+    .filter(u => u.moveOrder)
+    .map(u => u.id)
+    .reduce(advanceMoveOrder, state)
+}
+
+// Resolve an attack between two stacks, rolling from the game's random stream.
+// Every unit on the attacker's hex that can reach the target joins in, and the
+// defender's whole stack fights back. Survivors may retreat (see retreat.js).
+// Engagements reaching their final turn skip the once-per-turn check.
+function resolveAttack(state, attackerId, defenderId, attackerDoctrine, defenderDoctrine, { engaged = false } = {}) {
+  const attacker = state.units.find(u => u.id === attackerId)
+  const defender = state.units.find(u => u.id === defenderId)
+  if (!attacker || !defender) return { ...state, pendingCombat: null }
+  if (!engaged && !canLaunchAttack(state, attacker)) return state
+  
+  const defenderHex = state.mapData[hexId(defender.q, defender.r)]
+  const terrain = defenderHex?.terrain || 'plains'
+  const hexBuildings = getActiveBuildings(defenderHex)
+  const { attackers, defenders } = getBattleStacks(state.units, attacker, defender)
+  
+  const preview = previewStackCombat(
+    attackers,
+    defenders,
+    attackerDoctrine || getRecommendedDoctrine(attacker, defender, terrain, true),
+    defenderDoctrine || getRecommendedDoctrine(defender, attacker, terrain, false),
+    terrain,
+    hexBuildings,
+    { units: state.units, fortificationDamage: defenderHex?.fortificationDamage || 0 }
+  )
+  const random = createRandom(state.rng)
+  const result = resolveCombat(preview, random)
+  
+  const outcomes = {}
+  result.attackers.forEach(m => { outcomes[m.unit.id] = { ...m, attacked: true } })
+  result.defenders.forEach(m => { outcomes[m.unit.id] = m })
+  
+  // Apply damage and experience, then remove dead units
+  const promotions = []
+  const updatedUnits = state.units.flatMap(u => {
+    const outcome = outcomes[u.id]
+    if (!outcome) return [u]
+    if (outcome.destroyed) return []
+    const { unit, promotion } = awardExperience({
+      ...u,
+      health: outcome.newHealth,
+      attackedThisTurn: outcome.attacked || u.attackedThisTurn,
+    }, outcome.expGain)
+    if (promotion) {
+      promotions.push({ unitId: u.id, unitType: u.type, owner: u.owner, ...promotion, turn: state.turn })
+    }
+    return [unit]
+  })
+  
+  // Beaten defenders fall back and the attacker takes the ground
+  const aftermath = applyRetreatAndAdvance(
+    { ...state, units: updatedUnits },
+    result,
+    attacker.id,
+    defender.q,
+    defender.r
+  )
+  
+  // Keep the selection on an attacker that advanced
+  const advanced = aftermath.units.find(u => u.id === attacker.id)
+  const selectedHex = advanced && state.selectedUnit === attacker.id
+    ? hexId(advanced.q, advanced.r)
+    : state.selectedHex
+  
+  return {
+    ...state,
+    units: aftermath.units,
+    mapData: aftermath.mapData,
+    selectedHex,
+    promotions: [...state.promotions, ...promotions],
+    rng: random.getState(),
+    pendingCombat: null,
+    validAttacks: [],
+  }
+}
+
+// Open an attack: prolonged doctrines invest the hex for several turns,
+// anything else is fought out immediately. The attacker chooses its doctrine;
+// the defender always answers with its recommended one.
+function launchAttack(state, attackerId, defenderId, attackerDoctrine) {
+  const attacker = state.units.find(u => u.id === attackerId)
+  const defender = state.units.find(u => u.id === defenderId)
+  if (!attacker || !defender) return { ...state, pendingCombat: null }
+  const terrain = state.mapData[hexId(defender.q, defender.r)]?.terrain || 'plains'
+  const defenderDoctrine = getRecommendedDoctrine(defender, attacker, terrain, false)
+  let launched
+  if (!isProlongedDoctrine(attackerDoctrine)) {
+    launched = resolveAttack(state, attackerId, defenderId, attackerDoctrine, defenderDoctrine)
+  } else if (canLaunchAttack(state, attacker)) {
+    launched = startEngagement(state, attacker, defender, attackerDoctrine, defenderDoctrine)
+  } else {
+    return state
+  }
+  // The defender remembers being attacked
+  return launched === state ? state : recordAttack(launched, attacker.owner, defender.owner)
+}
+
+// Fight an engagement whose time is up
+const resolveEngagement = (state, attackerId, defenderId, attackerDoctrine, defenderDoctrine) =>
+  resolveAttack(state, attackerId, defenderId, attackerDoctrine, defenderDoctrine, { engaged: true })
+
+// End the game if any faction has met an enabled victory condition
+function checkVictory(state) {
+  const result = evaluateVictory(state)
+  if (!result) return state
+  return {
+    ...state,
+    gameOver: true,
+    winner: result.winner,
+    victory: {
+      condition: result.condition,
+      turn: state.turn,
+      standings: calculateStandings(state, result.winner),
+    },
+  }
+}
+
+// Apply a single action's rules. Commands only get here once validateCommand
+// (commands.js) has accepted them.
+function applyAction(state, action) {
+  // A finished game only accepts a new game or a load
+  if (state.gameOver && action.type !== ACTIONS.START_GAME && action.type !== ACTIONS.LOAD_GAME) {
+    return state
+  }
+  
+  switch (action.type) {
+    case ACTIONS.START_GAME:
+      return initializeGame(action.factionId, action.seed, action.victoryConditions, action.difficulty)
+    
+    case ACTIONS.LOAD_GAME:
+      return { ...createInitialState(), ...action.state }
+    
+    case ACTIONS.ADVANCE_PHASE: {
+      const nextPhaseIndex = (state.phaseIndex + 1) % PHASE_ORDER.length
+      if (nextPhaseIndex === 0) {
+        return applyAction(state, { type: ACTIONS.END_TURN })
+      }
+      const advanced = {
+        ...state,
+        phase: PHASE_ORDER[nextPhaseIndex],
+        phaseIndex: nextPhaseIndex,
+      }
+      return advanced.phase === PHASES.MOVEMENT ? continueMoveOrders(advanced) : advanced
+    }
+    
+    case ACTIONS.END_TURN: {
+      // Sieges and attrition press on, and are fought once their time is up;
+      // their promotions carry into the new turn's notices
+      const engaged = processEngagements({ ...state, promotions: [] }, resolveEngagement)
+      const random = createRandom(engaged.rng)
+      const ids = createIdGenerator(engaged.nextUnitId, random)
+      const buildingResult = processBuildingQueue(engaged)
+      const trainingResult = processTrainingQueue({ ...engaged, ...buildingResult }, ids)
+      
+      const resetUnits = trainingResult.units.map(u => ({
+        ...u,
+        movedThisTurn: false,
+        attackedThisTurn: false,
+      }))
+      
+      const economy = processEconomy({
+        ...engaged,
+        factionResources: trainingResult.factionResources,
+        units: resetUnits,
+        mapData: buildingResult.mapData,
+      })
+      const supply = processSupply({ ...engaged, units: economy.units, mapData: economy.mapData })
+      const healedUnits = processHealing({ ...engaged, units: supply.units, mapData: supply.mapData })
+      
+      return checkVictory({
+        ...engaged,
+        turn: engaged.turn + 1,
+        recentAttacks: pruneAttacks(engaged.recentAttacks, engaged.turn + 1),
+        truces: pruneTruces(engaged.truces, engaged.turn + 1),
+        phase: PHASES.PRODUCTION,
+        phaseIndex: 0,
+        rng: random.getState(),
+        nextUnitId: ids.getNext(),
+        units: healedUnits,
+        factionResources: economy.factionResources,
+        economyReports: economy.economyReports,
+        supplyLosses: supply.supplyLosses,
+        mapData: supply.mapData,
+        buildingQueue: buildingResult.buildingQueue,
+        trainingQueue: trainingResult.trainingQueue,
+        selectedHex: null,
+        selectedUnit: null,
+        validMoves: [],
+        validAttacks: [],
+      })
+    }
+    
+    case ACTIONS.SELECT_HEX: {
+      const { q, r } = action
+      const hexKey = hexId(q, r)
+      
+      if (state.selectedHex === hexKey) {
+        return { ...state, selectedHex: null, selectedUnit: null, validMoves: [], validAttacks: [] }
+      }
+      
+      const unitOnHex = state.units.find(
+        u => u.q === q && u.r === r && u.owner === state.playerFaction
+      )
+      
+      if (unitOnHex && (state.phase === PHASES.MOVEMENT || state.phase === PHASES.COMBAT)) {
+        const validMoves = calculateValidMoves(state, unitOnHex)
+        const validAttacks = calculateValidAttacks(state, unitOnHex)
+        
+        return {
+          ...state,
+          selectedHex: hexKey,
+          selectedUnit: unitOnHex.id,
+          validMoves,
+          validAttacks,
+        }
+      }
+      
+      return { ...state, selectedHex: hexKey, selectedUnit: null, validMoves: [], validAttacks: [] }
+    }
+    
+    case ACTIONS.MOVE_UNIT: {
+      const { unitId } = action
+      const unit = state.units.find(u => u.id === unitId)
+      // A unit running into enemies it couldn't see stops short of them
+      const { q: toQ, r: toR } = resolveMove(state, unit, action.toQ, action.toR)
+      
+      // Capture territory
+      const targetHex = state.mapData[hexId(toQ, toR)]
+      let updatedMapData = state.mapData
+      
+      if (targetHex && targetHex.owner !== unit.owner) {
+        const defenders = state.units.filter(
+          u => u.q === toQ && u.r === toR && u.owner === targetHex.owner
+        )
+        
+        if (defenders.length === 0) {
+          updatedMapData = {
+            ...state.mapData,
+            [hexId(toQ, toR)]: { ...targetHex, owner: unit.owner },
+          }
+        }
+      }
+      
+      // Units pick up (or lose) supply as soon as they arrive
+      const outOfSupply = !isInSupply(calculateSupply(updatedMapData, unit.owner), toQ, toR)
+      // A manual move replaces any standing order
+      const movedUnit = { ...unit, q: toQ, r: toR, movedThisTurn: true, outOfSupply, moveOrder: null }
+      const updatedUnits = state.units.map(u => u.id === unitId ? movedUnit : u)
+      
+      // Only the selected unit's highlights change; other factions move in the background
+      if (unitId !== state.selectedUnit) {
+        return { ...state, units: updatedUnits, mapData: updatedMapData }
+      }
+      
+      return {
+        ...state,
+        units: updatedUnits,
+        mapData: updatedMapData,
+        validMoves: [],
+        validAttacks: calculateValidAttacks({ ...state, units: updatedUnits }, movedUnit),
+      }
+    }
+    
+    case ACTIONS.SET_MOVE_ORDER: {
+      const { unitId, toQ, toR } = action
+      const unit = state.units.find(u => u.id === unitId)
+      
+      const ordered = {
+        ...state,
+        units: state.units.map(u => u.id === unitId ? { ...u, moveOrder: { q: toQ, r: toR } } : u),
+      }
+      // Start right away if the unit can still move this phase
+      if (state.phase !== PHASES.MOVEMENT || unit.movedThisTurn) return ordered
+      return advanceMoveOrder(ordered, unitId)
+    }
+    
+    case ACTIONS.CANCEL_MOVE_ORDER: {
+      return {
+        ...state,
+        units: state.units.map(u => u.id === action.unitId ? { ...u, moveOrder: null } : u),
+      }
+    }
+    
+    case ACTIONS.REINFORCE_UNIT: {
+      const reinforced = reinforceUnit(state, action.unitId)
+      if (!reinforced) return state
+      
+      // Reinforcing uses up the unit's turn, so it has nothing left to highlight
+      if (action.unitId !== state.selectedUnit) return { ...state, ...reinforced }
+      return { ...state, ...reinforced, validMoves: [], validAttacks: [] }
+    }
+    
+    case ACTIONS.CLEAR_SELECTION:
+      return { ...state, selectedHex: null, selectedUnit: null, validMoves: [], validAttacks: [] }
+    
+    // ============ BUILDING ============
+    case ACTIONS.START_BUILDING: {
+      const { hexId: targetHexId, buildingType } = action
+      const owner = getCommandFaction(state, action)
+      const building = BUILDINGS[buildingType]
+      const resources = { ...state.factionResources[owner] }
+      
+      // Deduct cost
+      Object.entries(building.cost || {}).forEach(([res, amount]) => {
+        resources[res] -= amount
+      })
+      
+      const newQueueItem = {
+        hexId: targetHexId,
+        buildingType,
+        turnsRemaining: building.buildTime || 2,
+        owner,
+      }
+      
+      return {
+        ...state,
+        buildingQueue: [...state.buildingQueue, newQueueItem],
+        factionResources: { ...state.factionResources, [owner]: resources },
+      }
+    }
+    
+    case ACTIONS.CANCEL_BUILDING: {
+      const { hexId: targetHexId, buildingType } = action
+      const owner = getCommandFaction(state, action)
+      const building = BUILDINGS[buildingType]
+      
+      const queueIndex = state.buildingQueue.findIndex(
+        item => item.hexId === targetHexId && item.buildingType === buildingType && item.owner === owner
+      )
+      if (queueIndex === -1) return state
+      
+      // Refund 50%
+      const resources = { ...state.factionResources[owner] }
+      if (building) {
+        Object.entries(building.cost || {}).forEach(([res, amount]) => {
+          resources[res] = (resources[res] || 0) + Math.floor(amount * 0.5)
+        })
+      }
+      
+      const newQueue = [...state.buildingQueue]
+      newQueue.splice(queueIndex, 1)
+      
+      return {
+        ...state,
+        buildingQueue: newQueue,
+        factionResources: { ...state.factionResources, [owner]: resources },
+      }
+    }
+    
+    // ============ TRAINING ============
+    case ACTIONS.START_TRAINING: {
+      const { hexId: targetHexId, unitType } = action
+      const owner = getCommandFaction(state, action)
+      const unit = UNITS[unitType]
+      const resources = { ...state.factionResources[owner] }
+      
+      // Deduct cost
+      Object.entries(unit.cost || {}).forEach(([res, amount]) => {
+        resources[res] -= amount
+      })
+      
+      // Academy reduces train time
+      const hex = state.mapData[targetHexId]
+      let trainTime = unit.trainTime || 1
+      if (getActiveBuildings(hex).includes('academy')) {
+        trainTime = Math.max(1, Math.ceil(trainTime * 0.75))
+      }
+      
+      const newQueueItem = {
+        hexId: targetHexId,
+        unitType,
+        turnsRemaining: trainTime,
+        owner,
+      }
+      
+      return {
+        ...state,
+        trainingQueue: [...state.trainingQueue, newQueueItem],
+        factionResources: { ...state.factionResources, [owner]: resources },
+      }
+    }
+    
+    case ACTIONS.CANCEL_TRAINING: {
+      const { hexId: targetHexId, unitType } = action
+      const owner = getCommandFaction(state, action)
+      const unit = UNITS[unitType]
+      
+      const queueIndex = state.trainingQueue.findIndex(
+        item => item.hexId === targetHexId && item.unitType === unitType && item.owner === owner
+      )
+      if (queueIndex === -1) return state
+      
+      // Refund 50%
+      const resources = { ...state.factionResources[owner] }
+      if (unit) {
+        Object.entries(unit.cost || {}).forEach(([res, amount]) => {
+          resources[res] = (resources[res] || 0) + Math.floor(amount * 0.5)
+        })
+      }
+      
+      const newQueue = [...state.trainingQueue]
+      newQueue.splice(queueIndex, 1)
+      
+      return {
+        ...state,
+        trainingQueue: newQueue,
+        factionResources: { ...state.factionResources, [owner]: resources },
+      }
+    }
+    
+    // ============ COMBAT ============
+    case ACTIONS.INITIATE_ATTACK: {
+      const { attackerId, defenderId } = action
+      const attacker = state.units.find(u => u.id === attackerId)
+      const defender = state.units.find(u => u.id === defenderId)
+      
+      if (!attacker || !defender) return state
+      
+      const defenderHex = state.mapData[hexId(defender.q, defender.r)]
+      const { attackers, defenders } = getBattleStacks(state.units, attacker, defender)
+      
+      return {
+        ...state,
+        pendingCombat: {
+          attacker,
+          defender,
+          attackers,
+          defenders,
+          terrain: defenderHex?.terrain || 'plains',
+          hexBuildings: getActiveBuildings(defenderHex),
+          fortificationDamage: defenderHex?.fortificationDamage || 0,
+        },
+      }
+    }
+    
+    case ACTIONS.RESOLVE_COMBAT: {
+      if (!state.pendingCombat) return state
+      const { attacker, defender } = state.pendingCombat
+      return launchAttack(state, attacker.id, defender.id, action.result?.attackerDoctrine)
+    }
+    
+    case ACTIONS.ATTACK:
+    case ACTIONS.AI_RESOLVE_COMBAT: {
+      const { attackerId, defenderId, attackerDoctrine } = action
+      return launchAttack(state, attackerId, defenderId, attackerDoctrine)
+    }
+    
+    case ACTIONS.CANCEL_COMBAT:
+      return { ...state, pendingCombat: null }
+    
+    // ============ DIPLOMACY ============
+    case ACTIONS.DIPLOMATIC_ACTION: {
+      const { targetFaction, actionType } = action
+      const { factionResources } = state
+      const faction = getCommandFaction(state, action)
+      const current = getRelation(state, faction, targetFaction)
+      const diplomaticAction = getDiplomaticAction(actionType, current)
+      
+      let relations = state.relations
+      let truces = state.truces || []
+      let resources = factionResources[faction]
+      let result = { success: false, message: '' }
+      
+      const random = createRandom(state.rng)
+      
+      // Pay an action's declared cost; false if the faction can't afford it
+      const payCost = () => {
+        const cost = diplomaticAction.cost || {}
+        if (!Object.entries(cost).every(([res, amt]) => (resources[res] || 0) >= amt)) return false
+        resources = { ...resources }
+        Object.entries(cost).forEach(([res, amt]) => { resources[res] = (resources[res] || 0) - amt })
+        return true
+      }
+      
+      // Proposals are put to the target, who answers from its opinion of the proposer
+      const accepted = () => random.chance(getAcceptanceChance(state, targetFaction, faction, actionType))
+      
+      if (actionType === 'improve') {
+        if (current !== 'hostile' && current !== 'neutral') {
+          result = { success: false, message: current === 'allied' ? 'Already allied' : 'Relations are already friendly' }
+        } else if (!payCost()) {
+          result = { success: false, message: 'Not enough influence or gold for outreach' }
+        } else if (!accepted()) {
+          result = { success: false, message: current === 'hostile' ? 'Ceasefire was refused' : 'Diplomatic outreach was rebuffed' }
+        } else if (current === 'hostile') {
+          relations = setRelation(relations, faction, targetFaction, 'neutral')
+          truces = addTruce(state, faction, targetFaction)
+          result = { success: true, message: 'Ceasefire agreed: relations are neutral' }
+        } else {
+          relations = setRelation(relations, faction, targetFaction, 'friendly')
+          result = { success: true, message: 'Relations improved to friendly' }
+        }
+      } else if (actionType === 'propose_alliance') {
+        if (current !== 'friendly') {
+          result = { success: false, message: current === 'allied' ? 'Already allied' : 'Alliances need friendly relations' }
+        } else if (!payCost()) {
+          result = { success: false, message: 'Not enough influence or gold for an alliance' }
+        } else if (!accepted()) {
+          result = { success: false, message: 'Alliance was declined' }
+        } else {
+          relations = setRelation(relations, faction, targetFaction, 'allied')
+          result = { success: true, message: 'Alliance formed!' }
+        }
+      } else if (actionType === 'declare_war') {
+        if (current === 'hostile') {
+          result = { success: false, message: 'Already at war' }
+        } else if (!payCost()) {
+          result = { success: false, message: 'Not enough influence to declare war' }
+        } else {
+          relations = setRelation(relations, faction, targetFaction, 'hostile')
+          result = { success: true, message: 'War declared!' }
+        }
+      }
+      
+      const event = { turn: state.turn, faction, targetFaction, actionType, ...result }
+      return {
+        ...state,
+        relations,
+        truces,
+        factionResources: { ...factionResources, [faction]: resources },
+        // The Diplomacy panel reports the player's own last action
+        lastDiplomaticResult: faction === state.playerFaction ? result : state.lastDiplomaticResult,
+        diplomaticLog: [...(state.diplomaticLog || []), event].slice(-DIPLOMATIC_LOG_SIZE),
+        rng: random.getState(),
+      }
+    }
+    
+    default:
+      return state
+  }
+}
+
+// Recompute fog of war, and what each faction remembers, once units or
+// territory have changed
+function refreshVisibility(prevState, nextState) {
+  if (nextState.units === prevState.units && nextState.mapData === prevState.mapData) return nextState
+  const seen = { ...nextState, mapData: updateVisibility(nextState) }
+  return { ...seen, intel: updateIntel(seen) }
+}
+
+// Game reducer: applies the rules, then records the command for undo/redo and replay
+export function gameReducer(state, action) {
+  switch (action.type) {
+    case ACTIONS.UNDO: {
+      const undone = refreshVisibility(state, undoLastCommand(state, action.faction))
+      if (undone === state) return state
+      
+      // Reselect a unit whose move or order was undone so the player can pick again
+      const entry = undone.redoStack[undone.redoStack.length - 1]
+      const unit = entry.action.unitId && undone.units.find(u => u.id === entry.action.unitId)
+      if (!unit || unit.owner !== undone.playerFaction) return undone
+      return {
+        ...undone,
+        selectedHex: hexId(unit.q, unit.r),
+        selectedUnit: unit.id,
+        validMoves: calculateValidMoves(undone, unit),
+        validAttacks: calculateValidAttacks(undone, unit),
+      }
+    }
+    
+    case ACTIONS.REDO: {
+      const { entry, state: popped } = popRedo(state, action.faction)
+      if (!entry) return state
+      const redone = gameReducer(popped, entry.action)
+      // Commands that are no longer legal are dropped
+      if (redone.commandLog === popped.commandLog) return popped
+      return { ...redone, redoStack: popped.redoStack }
+    }
+    
+    default: {
+      // Illegal commands are turned away with a reason and never logged
+      const rejection = validateCommand(state, action)
+      if (rejection) {
+        return {
+          ...state,
+          lastRejection: { ...rejection, type: action.type, faction: getCommandFaction(state, action) },
+        }
+      }
+      
+      const applied = applyAction(state, action)
+      // Rejected commands aren't logged; loading brings its own history
+      if (applied === state) return state
+      const nextState = refreshVisibility(state, applied)
+      if (action.type === ACTIONS.LOAD_GAME) return nextState
+      return recordCommand(state, { ...nextState, lastRejection: null }, action)
+    }
+  }
+}
+
+// ============ PUBLIC API ============
+
+// Create a started game in one call (no UI required)
+// The same seed and command list always replays to the same state
+export function createGame(playerFactionId, {
+  seed = DEFAULT_SEED,
+  victoryConditions = ALL_VICTORY_CONDITIONS,
+  difficulty = DEFAULT_DIFFICULTY,
+} = {}) {
+  const state = gameReducer(createInitialState(), {
+    type: ACTIONS.START_GAME,
+    factionId: playerFactionId,
+    seed,
+    victoryConditions,
+    difficulty,
+  })
+  if (state.lastRejection) throw new Error(state.lastRejection.message)
+  return state
+}
+
+// Apply a single command (reducer action) and return the next state
+export function applyCommand(state, command) {
+  return gameReducer(state, command)
+}
+
+// Validate and apply a command from any source (UI, AI or a network peer).
+// Returns { state, rejection }; a rejected command leaves the state untouched.
+export function executeCommand(state, command) {
+  const rejection = validateCommand(state, command)
+  if (rejection) return { state, rejection }
+  return { state: gameReducer(state, command), rejection: null }
+}
+
+// Apply a list of commands in order
+export function applyCommands(state, commands) {
+  return commands.reduce(gameReducer, state)
+}
+
+// Legal destination hexes for a unit
+export function getLegalMoves(state, unitId) {
+  const unit = state.units.find(u => u.id === unitId)
+  return calculateValidMoves(state, unit)
+}
+
+// Legal attack targets for a unit
+export function getLegalAttacks(state, unitId) {
+  const unit = state.units.find(u => u.id === unitId)
+  return calculateValidAttacks(state, unit)
+}
@@ -0,0 +1,110 @@
+// healing.js - Per-turn recovery and paid reinforcement of damaged units
+// Units heal a little anywhere, faster in their own territory and fastest at
+// a fortress or capital. Units cut off from supply or in contact with the
+// enemy don't heal. Reinforcing restores health at once for gold and iron,
+// but the fresh recruits dilute the unit's experience.
+
+import { UNITS, getVeterancyLevel } from '../data/units.js'
+import { hexId, hexDistance } from '../utils/hexMath.js'
+import { getActiveBuildings } from './economy.js'
+
+export const HEAL_FIELD = 5
+export const HEAL_TERRITORY = 10
+export const HEAL_STRONGHOLD = 20
+// Share of a unit's training cost paid to restore it from 0 to full health
+export const REINFORCE_COST_RATIO = 0.6
+// Share of experience lost when restoring it from 0 to full health
+export const REINFORCE_EXPERIENCE_LOSS = 0.5
+
+// Enemy units next to (or on) a unit's hex
+function isInContact(units, unit) {
+  return units.some(u => u.owner !== unit.owner && hexDistance(u.q, u.r, unit.q, unit.r) <= 1)
+}
+
+/**
+ * Health a unit recovers at the end of this turn
+ */
+export function getHealRate(state, unit) {
+  if (unit.outOfSupply || isInContact(state.units, unit)) return 0
+  
+  const hex = state.mapData[hexId(unit.q, unit.r)]
+  if (hex?.owner !== unit.owner) return HEAL_FIELD
+  if (hex.isCapital || getActiveBuildings(hex).includes('fortress')) return HEAL_STRONGHOLD
+  return HEAL_TERRITORY
+}
+
+/**
+ * Heal every damaged unit for the turn. Returns the updated units.
+ */
+export function processHealing(state) {
+  return state.units.map(unit => {
+    if (unit.health >= 100) return unit
+    const rate = getHealRate(state, unit)
+    return rate > 0 ? { ...unit, health: Math.min(100, unit.health + rate) } : unit
+  })
+}
+
+/**
+ * What it takes to bring a unit back to full health:
+ * { health, cost, experienceLoss } or null when it's already at full health
+ */
+export function getReinforceCost(unit) {
+  const missing = 100 - (unit.health ?? 100)
+  if (missing <= 0) return null
+  
+  const share = missing / 100
+  const cost = {}
+  Object.entries(UNITS[unit.type]?.cost || {}).forEach(([res, amount]) => {
+    cost[res] = Math.ceil(amount * share * REINFORCE_COST_RATIO)
+  })
+  
+  return {
+    health: missing,
+    cost,
+    experienceLoss: Math.round((unit.experience || 0) * share * REINFORCE_EXPERIENCE_LOSS),
+  }
+}
+
+/**
+ * Why a unit can't be reinforced right now, or null if it can
+ */
+export function getReinforceBlocker(state, unit) {
+  const reinforcement = getReinforceCost(unit)
+  if (!reinforcement) return 'Already at full strength'
+  if (unit.movedThisTurn || unit.attackedThisTurn) return 'Unit has already acted this turn'
+  if (unit.outOfSupply) return 'Out of supply'
+  if (state.mapData[hexId(unit.q, unit.r)]?.owner !== unit.owner) return 'Must be in friendly territory'
+  
+  const resources = state.factionResources[unit.owner] || {}
+  const affordable = Object.entries(reinforcement.cost).every(([res, amount]) => (resources[res] || 0) >= amount)
+  return affordable ? null : 'Not enough resources'
+}
+
+/**
+ * Reinforce a unit to full health, paying its cost. Returns the next
+ * { units, factionResources }, or null if the unit can't be reinforced.
+ */
+export function reinforceUnit(state, unitId) {
+  const unit = state.units.find(u => u.id === unitId)
+  if (!unit || getReinforceBlocker(state, unit)) return null
+  
+  const { cost, experienceLoss } = getReinforceCost(unit)
+  const resources = { ...state.factionResources[unit.owner] }
+  Object.entries(cost).forEach(([res, amount]) => { resources[res] -= amount })
+  
+  const experience = Math.max(0, (unit.experience || 0) - experienceLoss)
+  const reinforced = {
+    ...unit,
+    health: 100,
+    experience,
+    veterancy: getVeterancyLevel(experience).id,
+    // Absorbing recruits takes the unit's whole turn
+    movedThisTurn: true,
+    attackedThisTurn: true,
+  }
+  
+  return {
+    units: state.units.map(u => u.id === unitId ? reinforced : u),
+    factionResources: { ...state.factionResources, [unit.owner]: resources },
+  }
+}
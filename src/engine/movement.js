@@ -0,0 +1,187 @@
+// movement.js - Terrain-aware movement costs shared by player and AI
+// Costs come from TERRAIN_TYPES movementCost, armor penalties in terrain
+// combatModifiers and the season's movementCost multiplier. Air units ignore
+// terrain; abilities such as all_terrain adjust the cost (see abilities.js).
+
+import { getCurrentSeason } from '../data/mapData.js'
+import { UNITS, UNIT_BRANCHES } from '../data/units.js'
+import { TERRAIN_TYPES } from '../data/terrain.js'
+import { hexId, getHexNeighbors, hexDistance } from '../utils/hexMath.js'
+import { applyMoveCostAbilities } from '../utils/abilities.js'
+import { hasStackRoom } from './stacks.js'
+import { isHexVisible } from './visibility.js'
+
+/**
+ * Movement points a unit spends to enter a hex
+ */
+export function getMoveCost(unit, hex, turn = 1) {
+  const unitDef = UNITS[unit.type]
+  const terrain = TERRAIN_TYPES[hex.terrain] || TERRAIN_TYPES.plains
+  const season = getCurrentSeason(turn)
+  let cost = terrain.movementCost || 1
+
+  if (unitDef?.branch === UNIT_BRANCHES.AIR) {
+    cost = 1
+  } else if (unitDef?.branch === UNIT_BRANCHES.ARMOR) {
+    // Armor movement penalties are stored as negative modifiers
+    cost += Math.max(0, -(terrain.combatModifiers?.armor?.movement || 0))
+  }
+  cost = applyMoveCostAbilities(cost, { unit, hex, terrain })
+
+  return cost * (season.effects.movementCost || 1)
+}
+
+// Another faction's unit is known to hold the hex (no moving through enemies).
+// Units hidden by fog don't block planning; resolveMove stops a move that runs into one.
+function isBlocked(state, unit, q, r) {
+  return state.units.some(u =>
+    u.q === q && u.r === r && u.owner !== unit.owner && isHexVisible(state.mapData, unit.owner, q, r)
+  )
+}
+
+/**
+ * Cheapest cost to every hex a unit can reach this turn (Dijkstra).
+ * Returns { [hexId]: { q, r, cost, from, full } } including the unit's own hex.
+ * Friendly stacks can be passed through; full marks hexes whose stack has no
+ * room for the unit to stop. A unit that hasn't spent any movement may always
+ * step into one adjacent hex.
+ */
+export function calculateMovementRange(state, unit) {
+  const { mapData, turn } = state
+  const movement = unit.stats?.movement || 2
+  const startId = hexId(unit.q, unit.r)
+  const reached = { [startId]: { q: unit.q, r: unit.r, cost: 0, from: null } }
+  const frontier = [startId]
+  const settled = new Set()
+
+  while (frontier.length > 0) {
+    frontier.sort((a, b) => reached[a].cost - reached[b].cost)
+    const currentId = frontier.shift()
+    if (settled.has(currentId)) continue
+    settled.add(currentId)
+    const current = reached[currentId]
+
+    getHexNeighbors(current.q, current.r).forEach(n => {
+      const nId = hexId(n.q, n.r)
+      const hex = mapData[nId]
+      if (!hex || settled.has(nId) || isBlocked(state, unit, n.q, n.r)) return
+
+      const cost = current.cost + getMoveCost(unit, hex, turn)
+      const firstStep = current.cost === 0
+      if (cost > movement && !firstStep) return
+      if (reached[nId] && reached[nId].cost <= cost) return
+
+      const full = !hasStackRoom(state, unit.owner, n.q, n.r)
+      reached[nId] = { q: n.q, r: n.r, cost, from: currentId, full }
+      // Movement ends once points run out
+      if (cost < movement) frontier.push(nId)
+    })
+  }
+
+  return reached
+}
+
+/**
+ * Where a move to a reachable hex really ends. Routes are planned around the
+ * units a faction can see; walking the route, the unit stops short of the
+ * first hex another faction's unit turns out to hold, on the last hex it
+ * passed with room to stop. Returns { q, r, interrupted }.
+ */
+export function resolveMove(state, unit, toQ, toR) {
+  const range = calculateMovementRange(state, unit)
+  const route = []
+  for (let id = hexId(toQ, toR); range[id] && range[id].from; id = range[id].from) {
+    route.unshift(range[id])
+  }
+
+  let stop = { q: unit.q, r: unit.r }
+  for (const step of route) {
+    if (state.units.some(u => u.q === step.q && u.r === step.r && u.owner !== unit.owner)) {
+      return { ...stop, interrupted: true }
+    }
+    if (!step.full) stop = { q: step.q, r: step.r }
+  }
+  return { q: toQ, r: toR, interrupted: false }
+}
+
+/**
+ * Cheapest route to any hex on the map, ignoring this turn's movement limit (A*).
+ * Hexes the unit's faction can see enemies on block the route; friendly units
+ * may be passed later.
+ * Returns [{ q, r, cost }] excluding the start hex, or null if unreachable.
+ */
+export function findPath(state, unit, toQ, toR) {
+  const { mapData, turn } = state
+  const startId = hexId(unit.q, unit.r)
+  const goalId = hexId(toQ, toR)
+  if (!mapData[goalId] || startId === goalId) return null
+
+  if (isBlocked(state, unit, toQ, toR)) return null
+
+  // Cheapest possible step keeps the heuristic admissible
+  const minStepCost = getCurrentSeason(turn).effects.movementCost || 1
+  const heuristic = (q, r) => hexDistance(q, r, toQ, toR) * minStepCost
+
+  const nodes = { [startId]: { q: unit.q, r: unit.r, cost: 0, from: null } }
+  const open = [startId]
+  const closed = new Set()
+
+  while (open.length > 0) {
+    open.sort((a, b) =>
+      (nodes[a].cost + heuristic(nodes[a].q, nodes[a].r)) - (nodes[b].cost + heuristic(nodes[b].q, nodes[b].r))
+    )
+    const currentId = open.shift()
+    if (currentId === goalId) break
+    if (closed.has(currentId)) continue
+    closed.add(currentId)
+    const current = nodes[currentId]
+
+    getHexNeighbors(current.q, current.r).forEach(n => {
+      const nId = hexId(n.q, n.r)
+      const hex = mapData[nId]
+      if (!hex || closed.has(nId) || isBlocked(state, unit, n.q, n.r)) return
+
+      const cost = current.cost + getMoveCost(unit, hex, turn)
+      if (nodes[nId] && nodes[nId].cost <= cost) return
+      nodes[nId] = { q: n.q, r: n.r, cost, from: currentId }
+      open.push(nId)
+    })
+  }
+
+  if (!nodes[goalId]) return null
+
+  const path = []
+  for (let id = goalId; id !== startId; id = nodes[id].from) {
+    const { q, r, cost } = nodes[id]
+    path.unshift({ q, r, cost })
+  }
+  return path
+}
+
+/**
+ * Split a path into turns of movement: each step gets the turn it's reached
+ * on (1 = this turn) and stop marks where the unit ends each turn.
+ */
+export function planPathTurns(unit, path) {
+  const movement = unit.stats?.movement || 2
+  let turn = 1
+  let spent = 0
+  let previousCost = 0
+
+  const steps = path.map(step => {
+    const stepCost = step.cost - previousCost
+    previousCost = step.cost
+    // A turn's first step is always allowed, however costly
+    if (spent > 0 && spent + stepCost > movement) {
+      turn++
+      spent = 0
+    }
+    spent += stepCost
+    return { q: step.q, r: step.r, turn, stop: false }
+  })
+
+  return steps.map((step, i) => ({
+    ...step,
+    stop: i === steps.length - 1 || steps[i + 1].turn !== step.turn,
+  }))
+}
@@ -0,0 +1,102 @@
+// replay.js - Shareable replays rebuilt from the command log
+// A replay is the game seed plus every accepted action (player and AI);
+// running them through the engine reproduces the game exactly.
+
+import { gameReducer, createInitialState } from './gameEngine.js'
+import { ACTIONS } from './actions.js'
+import { isUIActionType, getGameActions } from './commandLog.js'
+
+export const REPLAY_FORMAT = 'fractured-sphere-replay'
+export const REPLAY_VERSION = 1
+
+// Max actions re-applied when seeking backwards
+const KEYFRAME_INTERVAL = 50
+
+// Build a replay from a game's command log
+export function createReplay(state, { recordedAt = Date.now() } = {}) {
+  const actions = getGameActions(state)
+  if (actions[0]?.type !== ACTIONS.START_GAME) {
+    throw new Error('Game history does not start at the beginning of the game')
+  }
+
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    recordedAt,
+    seed: state.seed,
+    playerFaction: state.playerFaction,
+    turns: state.turn,
+    actions: [{ ...actions[0], seed: state.seed }, ...actions.slice(1)],
+  }
+}
+
+// Validate a replay loaded from a file
+export function parseReplay(data) {
+  const replay = typeof data === 'string' ? JSON.parse(data) : data
+  if (!replay || replay.format !== REPLAY_FORMAT) {
+    throw new Error('Not a Fractured Sphere replay')
+  }
+  if (replay.version > REPLAY_VERSION) {
+    throw new Error(`Replay version ${replay.version} is newer than supported version ${REPLAY_VERSION}`)
+  }
+  if (!Array.isArray(replay.actions) || replay.actions[0]?.type !== ACTIONS.START_GAME) {
+    throw new Error('Replay has no starting action')
+  }
+  return replay
+}
+
+/**
+ * Step through a replay by action index.
+ * Position i is the state after actions[0..i]; keyframes at every turn start
+ * keep seeking backwards cheap.
+ */
+export function createReplayPlayer(replay) {
+  const { actions } = replay
+  const keyframes = new Map()
+  const turns = []
+  const steps = []
+
+  let state = createInitialState()
+  actions.forEach((action, index) => {
+    const prevTurn = state.turn
+    state = gameReducer(state, action)
+
+    if (!isUIActionType(action.type)) steps.push(index)
+
+    if (index === 0 || state.turn !== prevTurn) {
+      turns.push({ turn: state.turn, index })
+      keyframes.set(index, state)
+    } else if (index % KEYFRAME_INTERVAL === 0) {
+      keyframes.set(index, state)
+    }
+  })
+
+  let cached = { index: 0, state: keyframes.get(0) }
+
+  const stateAt = (target) => {
+    const index = Math.max(0, Math.min(actions.length - 1, target))
+    if (index === cached.index) return cached.state
+
+    // Continue forward from the cache when possible, else from the nearest keyframe
+    let from = cached.index < index ? cached.index : 0
+    keyframes.forEach((_, keyIndex) => {
+      if (keyIndex <= index && keyIndex > from) from = keyIndex
+    })
+
+    let current = from === cached.index ? cached.state : keyframes.get(from)
+    for (let i = from + 1; i <= index; i++) {
+      current = gameReducer(current, actions[i])
+    }
+    cached = { index, state: current }
+    return current
+  }
+
+  return {
+    length: actions.length,
+    turns,
+    steps,
+    finalState: state,
+    stateAt,
+    actionAt: (index) => actions[index] || null,
+  }
+}
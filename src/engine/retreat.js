@@ -0,0 +1,77 @@
+// retreat.js - What happens to the ground after a battle
+// A beaten defending stack falls back to the safest neighbouring hex it can
+// hold, or surrenders if it's surrounded. Once the hex is empty, the attacker
+// advances into it and takes it.
+
+import { hexId, hexDistance, getHexNeighbors } from '../utils/hexMath.js'
+import { getStack, getStackLimit } from './stacks.js'
+import { calculateSupply, isInSupply } from './supply.js'
+
+/**
+ * Safest adjacent hex a defending stack can fall back to: empty or friendly,
+ * with room for the whole stack. Prefers the fewest enemies nearby, then
+ * friendly ground. Returns { q, r } or null when surrounded.
+ */
+export function findRetreatHex(state, retreating, fromQ, fromR) {
+  const owner = retreating[0].owner
+  const ids = new Set(retreating.map(u => u.id))
+  const others = state.units.filter(u => !ids.has(u.id))
+
+  const candidates = getHexNeighbors(fromQ, fromR).flatMap(({ q, r }) => {
+    const hex = state.mapData[hexId(q, r)]
+    if (!hex) return []
+    const occupants = getStack(others, q, r)
+    if (occupants.some(u => u.owner !== owner)) return []
+    if (occupants.length + retreating.length > getStackLimit(hex)) return []
+
+    const threat = others.filter(u => u.owner !== owner && hexDistance(u.q, u.r, q, r) <= 1).length
+    return [{ q, r, threat, friendly: hex.owner === owner }]
+  })
+
+  candidates.sort((a, b) => a.threat - b.threat || b.friendly - a.friendly)
+  return candidates[0] ? { q: candidates[0].q, r: candidates[0].r } : null
+}
+
+/**
+ * Apply a combat result's retreat and advance to the map.
+ * Surviving defenders that retreat fall back (or surrender when they can't);
+ * if the defended hex ends up empty, the lead attacker moves in and captures it
+ * unless it fired from range. Returns { units, mapData, retreat } where
+ * retreat is { to } / { surrendered } / null.
+ */
+export function applyRetreatAndAdvance(state, result, attackerId, defenderQ, defenderR) {
+  let { units, mapData } = state
+  let retreat = null
+  const defenderKey = hexId(defenderQ, defenderR)
+
+  if (result.defender.retreats) {
+    const retreating = units.filter(u => u.q === defenderQ && u.r === defenderR && u.owner === result.defender.unit.owner)
+    const to = retreating.length > 0 ? findRetreatHex(state, retreating, defenderQ, defenderR) : null
+    const ids = new Set(retreating.map(u => u.id))
+
+    if (to) {
+      units = units.map(u => ids.has(u.id) ? { ...u, q: to.q, r: to.r, moveOrder: null } : u)
+      retreat = { to }
+    } else {
+      units = units.filter(u => !ids.has(u.id))
+      retreat = { surrendered: retreating.length }
+    }
+  }
+
+  // Advance into the vacated hex
+  const attacker = units.find(u => u.id === attackerId)
+  const vacated = !units.some(u => u.q === defenderQ && u.r === defenderR)
+  if (attacker && vacated && hexDistance(attacker.q, attacker.r, defenderQ, defenderR) === 1) {
+    const hex = mapData[defenderKey]
+    if (hex && hex.owner !== attacker.owner) {
+      mapData = { ...mapData, [defenderKey]: { ...hex, owner: attacker.owner } }
+    }
+    const outOfSupply = !isInSupply(calculateSupply(mapData, attacker.owner), defenderQ, defenderR)
+    units = units.map(u => u.id === attackerId
+      ? { ...u, q: defenderQ, r: defenderR, movedThisTurn: true, outOfSupply, moveOrder: null }
+      : u
+    )
+  }
+
+  return { units, mapData, retreat }
+}
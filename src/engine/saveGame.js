@@ -0,0 +1,98 @@
+// saveGame.js - Versioned save format for game state
+// Pure serialization and schema migrations; storage lives in utils/saveSlots.js
+
+import { createInitialState, DEFAULT_SEED } from './gameEngine.js'
+import { seedRandom } from '../utils/random.js'
+
+export const SAVE_FORMAT = 'fractured-sphere-save'
+
+// Bump when the persisted state shape changes and add a migration below
+export const SAVE_VERSION = 3
+
+// UI-only fields that are rebuilt after loading rather than persisted
+const TRANSIENT_KEYS = ['selectedHex', 'selectedUnit', 'validMoves', 'validAttacks', 'pendingCombat']
+
+// Migrations upgrade a save's state from version N to N + 1
+const MIGRATIONS = {
+  // v2: seeded random stream and deterministic unit IDs
+  1: (state) => {
+    const highestId = (state.units || []).reduce((max, unit) => {
+      const match = /^unit_(\d+)_/.exec(unit.id)
+      return match ? Math.max(max, Number(match[1])) : max
+    }, 0)
+    return {
+      ...state,
+      seed: DEFAULT_SEED,
+      rng: seedRandom(`${DEFAULT_SEED}:${state.turn}`),
+      nextUnitId: highestId + 1,
+    }
+  },
+  // v3: closed turns' commands move to commandHistory as plain actions,
+  // leaving only the current turn in commandLog
+  2: (state) => {
+    const log = state.commandLog || []
+    const commandHistory = []
+    log.filter(entry => entry.turn < state.turn).forEach((entry, index, closed) => {
+      if (index === 0 || closed[index - 1].turn !== entry.turn) commandHistory.push([])
+      commandHistory[commandHistory.length - 1].push(entry.action)
+    })
+    return {
+      ...state,
+      commandHistory,
+      commandLog: log.filter(entry => entry.turn >= state.turn),
+    }
+  },
+}
+
+// Convert game state into a plain JSON-safe save object
+export function serializeGame(state, { name = 'Untitled', savedAt = Date.now() } = {}) {
+  const persisted = {}
+  Object.entries(state).forEach(([key, value]) => {
+    if (!TRANSIENT_KEYS.includes(key)) persisted[key] = value
+  })
+
+  return {
+    format: SAVE_FORMAT,
+    version: SAVE_VERSION,
+    name,
+    savedAt,
+    summary: {
+      playerFaction: state.playerFaction,
+      turn: state.turn,
+      phase: state.phase,
+    },
+    state: JSON.parse(JSON.stringify(persisted)),
+  }
+}
+
+// Run every migration between the save's version and the current one
+export function migrateSave(save) {
+  if (!save || save.format !== SAVE_FORMAT) {
+    throw new Error('Not a Fractured Sphere save')
+  }
+  if (typeof save.version !== 'number' || save.version < 1) {
+    throw new Error(`Invalid save version: ${save.version}`)
+  }
+  if (save.version > SAVE_VERSION) {
+    throw new Error(`Save version ${save.version} is newer than supported version ${SAVE_VERSION}`)
+  }
+
+  let migrated = save
+  for (let version = save.version; version < SAVE_VERSION; version++) {
+    const migrate = MIGRATIONS[version]
+    if (!migrate) {
+      throw new Error(`No migration from save version ${version}`)
+    }
+    migrated = { ...migrated, version: version + 1, state: migrate(migrated.state) }
+  }
+  return migrated
+}
+
+// Turn a save object back into playable game state
+export function deserializeGame(save) {
+  const migrated = migrateSave(save)
+  return {
+    ...createInitialState(),
+    ...migrated.state,
+  }
+}
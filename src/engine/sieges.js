@@ -0,0 +1,174 @@
+// sieges.js - Engagements that play out over several turns
+// Doctrines with turnsRequired (siege, attrition) don't resolve at once: the
+// attacker invests the defended hex and the battle is fought when the time is
+// up. Sieges wear down fortifications; attrition bleeds the defenders at a
+// grain cost to the attacker. A relief force, or a garrison that outgrows the
+// besiegers, lifts the engagement.
+
+import { DOCTRINES, UNITS } from '../data/units.js'
+import { hexId, hexDistance } from '../utils/hexMath.js'
+import { getStack, getBattleStacks } from './stacks.js'
+import { isAtWar } from './diplomacy.js'
+
+// Fortification integrity restored per turn once a siege is over
+export const FORTIFICATION_REPAIR = 0.1
+// Health lost each turn by defenders under attrition pressure
+export const ATTRITION_PRESSURE_DAMAGE = 8
+
+/**
+ * Whether a doctrine turns an attack into a multi-turn engagement
+ */
+export function isProlongedDoctrine(doctrineId) {
+  return (DOCTRINES[doctrineId]?.turnsRequired || 1) > 1
+}
+
+/**
+ * The engagement a unit is leading, if any
+ */
+export function getUnitEngagement(state, unitId) {
+  return (state.engagements || []).find(e => e.attackerId === unitId) || null
+}
+
+/**
+ * Invest a defended hex: the attacking stack commits for this turn and the
+ * battle is fought once the doctrine's turnsRequired have passed
+ */
+export function startEngagement(state, attacker, defender, attackerDoctrine, defenderDoctrine) {
+  const doctrine = DOCTRINES[attackerDoctrine]
+  const { attackers } = getBattleStacks(state.units, attacker, defender)
+  const committed = new Set(attackers.map(u => u.id))
+
+  return {
+    ...state,
+    units: state.units.map(u => committed.has(u.id) ? { ...u, attackedThisTurn: true } : u),
+    engagements: [...state.engagements, {
+      id: `${attacker.id}@${hexId(defender.q, defender.r)}`,
+      doctrine: attackerDoctrine,
+      defenderDoctrine,
+      attackerId: attacker.id,
+      attackerOwner: attacker.owner,
+      defenderOwner: defender.owner,
+      q: defender.q,
+      r: defender.r,
+      turnsRequired: doctrine.turnsRequired,
+      turnsRemaining: doctrine.turnsRequired,
+      startedTurn: state.turn,
+    }],
+    pendingCombat: null,
+    validAttacks: [],
+  }
+}
+
+// Defender units outside the besieged hex threaten the besiegers, or the
+// garrison now outnumbers them
+function isRelieved(state, engagement, attacker, defenders) {
+  const reliefForce = state.units.some(u =>
+    u.owner === engagement.defenderOwner &&
+    !(u.q === engagement.q && u.r === engagement.r) &&
+    hexDistance(u.q, u.r, attacker.q, attacker.r) <= 1
+  )
+  const besiegers = getStack(state.units, attacker.q, attacker.r, attacker.owner)
+  return reliefForce || defenders.length > besiegers.length
+}
+
+// One turn of pressure on the defended hex
+function applyPressure(state, engagement, attacker) {
+  const doctrine = DOCTRINES[engagement.doctrine]
+  const key = hexId(engagement.q, engagement.r)
+  let { mapData, units, factionResources } = state
+
+  // Bombardment wears down the fortifications
+  if (doctrine.fortificationDamage) {
+    const hex = mapData[key]
+    const wear = doctrine.fortificationDamage / doctrine.turnsRequired
+    const fortificationDamage = Math.min(1, Math.round(((hex.fortificationDamage || 0) + wear) * 100) / 100)
+    mapData = { ...mapData, [key]: { ...hex, fortificationDamage } }
+  }
+
+  // Attrition bleeds the garrison and eats into the besiegers' grain
+  if (doctrine.supplyCost) {
+    units = units.map(u => u.q === engagement.q && u.r === engagement.r && u.owner === engagement.defenderOwner
+      ? { ...u, health: Math.max(1, u.health - ATTRITION_PRESSURE_DAMAGE) }
+      : u
+    )
+    const grainUpkeep = getStack(units, attacker.q, attacker.r, attacker.owner)
+      .reduce((sum, u) => sum + (UNITS[u.type]?.upkeep?.grain || 0), 0)
+    const resources = factionResources[attacker.owner]
+    factionResources = {
+      ...factionResources,
+      [attacker.owner]: { ...resources, grain: Math.max(0, resources.grain - Math.ceil(grainUpkeep * doctrine.supplyCost)) },
+    }
+  }
+
+  return { ...state, mapData, units, factionResources }
+}
+
+/**
+ * Advance every engagement by one turn. Engagements whose time is up are
+ * fought with resolveBattle(state, attackerId, defenderId, attackerDoctrine,
+ * defenderDoctrine). Idle fortifications repair. Returns the next state with
+ * engagements and siegeReports ([{ q, r, doctrine, attackerOwner,
+ * defenderOwner, outcome: 'relieved' | 'abandoned' | 'peace' | 'evacuated' |
+ * 'resolved' }]). Only the faction the engagement was started against is
+ * pressed or fought, and only while the two sides are still at war.
+ */
+export function processEngagements(state, resolveBattle) {
+  let next = state
+  const engagements = []
+  const siegeReports = []
+  const pressed = new Set()
+  const report = (engagement, outcome) => siegeReports.push({
+    q: engagement.q,
+    r: engagement.r,
+    doctrine: engagement.doctrine,
+    attackerOwner: engagement.attackerOwner,
+    defenderOwner: engagement.defenderOwner,
+    outcome,
+  })
+
+  ;(state.engagements || []).forEach(engagement => {
+    const attacker = next.units.find(u => u.id === engagement.attackerId)
+    const defenders = next.units.filter(u =>
+      u.q === engagement.q && u.r === engagement.r && u.owner === engagement.defenderOwner
+    )
+
+    // Besiegers gone, withdrawn out of range, at peace, or nothing left to besiege
+    if (!attacker || hexDistance(attacker.q, attacker.r, engagement.q, engagement.r) > (attacker.stats?.range || 1)) {
+      report(engagement, 'abandoned')
+      return
+    }
+    if (!isAtWar(next, engagement.attackerOwner, engagement.defenderOwner)) {
+      report(engagement, 'peace')
+      return
+    }
+    if (defenders.length === 0) {
+      report(engagement, 'evacuated')
+      return
+    }
+    if (isRelieved(next, engagement, attacker, defenders)) {
+      report(engagement, 'relieved')
+      return
+    }
+
+    next = applyPressure(next, engagement, attacker)
+    pressed.add(hexId(engagement.q, engagement.r))
+    const turnsRemaining = engagement.turnsRemaining - 1
+    if (turnsRemaining > 0) {
+      engagements.push({ ...engagement, turnsRemaining })
+      return
+    }
+
+    next = resolveBattle(next, attacker.id, defenders[0].id, engagement.doctrine, engagement.defenderDoctrine)
+    report(engagement, 'resolved')
+  })
+
+  // Fortifications no longer under pressure are slowly repaired
+  let mapData = next.mapData
+  Object.entries(mapData).forEach(([key, hex]) => {
+    if (!hex.fortificationDamage || pressed.has(key)) return
+    const fortificationDamage = Math.max(0, Math.round((hex.fortificationDamage - FORTIFICATION_REPAIR) * 100) / 100)
+    mapData = { ...mapData, [key]: { ...hex, fortificationDamage } }
+  })
+
+  return { ...next, mapData, engagements, siegeReports }
+}
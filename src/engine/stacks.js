@@ -0,0 +1,56 @@
+// stacks.js - Multi-unit stacks sharing a hex
+// A hex holds a limited number of friendly units; garrison buildings such as
+// the fortress raise the cap. Stacks move independently but fight together.
+
+import { BUILDINGS } from '../data/terrain.js'
+import { hexId, hexDistance } from '../utils/hexMath.js'
+import { canAttackWithAbilities } from '../utils/abilities.js'
+import { getActiveBuildings } from './economy.js'
+
+export const BASE_STACK_LIMIT = 3
+
+/**
+ * Maximum number of units one faction may keep on a hex
+ */
+export function getStackLimit(hex) {
+  return getActiveBuildings(hex).reduce(
+    (limit, buildingId) => limit + (BUILDINGS[buildingId]?.effects?.garrisonCapacity || 0),
+    BASE_STACK_LIMIT
+  )
+}
+
+/**
+ * Units on a hex, optionally only those of one owner
+ */
+export function getStack(units, q, r, owner = null) {
+  return units.filter(u => u.q === q && u.r === r && (!owner || u.owner === owner))
+}
+
+/**
+ * Whether one more of a faction's units fits on a hex
+ */
+export function hasStackRoom(state, owner, q, r) {
+  const hex = state.mapData[hexId(q, r)]
+  return getStack(state.units, q, r, owner).length < getStackLimit(hex)
+}
+
+/**
+ * The units that fight in a battle: every unit on the attacker's hex that can
+ * still attack and reach the target (the initiating unit first), and the
+ * defender's whole stack (the targeted unit first).
+ */
+export function getBattleStacks(units, attacker, defender) {
+  const attackers = getStack(units, attacker.q, attacker.r, attacker.owner).filter(u =>
+    u.id === attacker.id || (
+      !u.attackedThisTurn &&
+      canAttackWithAbilities(u) &&
+      hexDistance(u.q, u.r, defender.q, defender.r) <= (u.stats?.range || 1)
+    )
+  )
+  const defenders = getStack(units, defender.q, defender.r, defender.owner)
+  const leadFirst = (lead) => (a, b) => (b.id === lead.id) - (a.id === lead.id)
+  return {
+    attackers: attackers.sort(leadFirst(attacker)),
+    defenders: defenders.sort(leadFirst(defender)),
+  }
+}
@@ -0,0 +1,123 @@
+// supply.js - Supply lines traced from each capital through friendly territory
+// Supply weakens with every hex it crosses (scaled by terrain supplyModifier),
+// ports boost it and link to each other, relays project it beyond the border.
+// Units out of supply suffer attrition and fight at reduced strength.
+
+import { getCurrentSeason } from '../data/mapData.js'
+import { FACTIONS } from '../data/factions.js'
+import { TERRAIN_TYPES, BUILDINGS } from '../data/terrain.js'
+import { hexId, getHexNeighbors, hexDistance } from '../utils/hexMath.js'
+import { getActiveBuildings } from './economy.js'
+
+export const SUPPLY_DECAY = 0.85
+export const SUPPLY_THRESHOLD = 0.3
+export const BASE_ATTRITION = 0.02
+
+/**
+ * Supply level (0-1) of every hex a faction can reach: { [hexId]: level }.
+ * Owned hexes carry supply onward; foreign hexes receive it but don't pass it on.
+ */
+export function calculateSupply(mapData, factionId) {
+  const levels = {}
+  const queue = []
+
+  const offer = (key, level) => {
+    const hex = mapData[key]
+    // Cap before comparing: terrain that boosts supply would otherwise keep
+    // re-offering full supply back and forth between neighbours
+    const capped = Math.min(1, level)
+    if (!hex || capped <= (levels[key] || 0)) return
+    levels[key] = capped
+    queue.push(key)
+  }
+
+  Object.values(mapData).forEach(hex => {
+    if (hex.owner === factionId && hex.isCapital) offer(hex.id, 1)
+  })
+
+  const ownedPorts = Object.values(mapData)
+    .filter(hex => hex.owner === factionId && getActiveBuildings(hex).includes('port'))
+    .map(hex => hex.id)
+
+  while (queue.length > 0) {
+    // Always expand the best-supplied hex next
+    queue.sort((a, b) => levels[b] - levels[a])
+    const key = queue.shift()
+    const hex = mapData[key]
+    if (hex.owner !== factionId) continue
+
+    let level = levels[key]
+    const buildings = getActiveBuildings(hex)
+
+    // Ports strengthen supply and ship it to every other friendly port
+    if (buildings.includes('port')) {
+      level = Math.min(1, level + (BUILDINGS.port.effects.supplyBonus || 0))
+      levels[key] = level
+      ownedPorts.forEach(portKey => offer(portKey, level * SUPPLY_DECAY))
+    }
+
+    // Relays project supply over their range, even past the border
+    if (buildings.includes('relay')) {
+      const range = BUILDINGS.relay.effects.supplyRange || 0
+      Object.values(mapData).forEach(target => {
+        const dist = hexDistance(hex.q, hex.r, target.q, target.r)
+        if (dist === 0 || dist > range) return
+        const modifier = TERRAIN_TYPES[target.terrain]?.supplyModifier ?? 1
+        offer(target.id, level * Math.pow(SUPPLY_DECAY, dist) * modifier)
+      })
+    }
+
+    getHexNeighbors(hex.q, hex.r).forEach(n => {
+      const neighbor = mapData[hexId(n.q, n.r)]
+      if (!neighbor) return
+      const modifier = TERRAIN_TYPES[neighbor.terrain]?.supplyModifier ?? 1
+      offer(neighbor.id, level * SUPPLY_DECAY * modifier)
+    })
+  }
+
+  return levels
+}
+
+/**
+ * Whether a hex is in supply for a faction, given its supply levels
+ */
+export function isInSupply(levels, q, r) {
+  return (levels[hexId(q, r)] || 0) >= SUPPLY_THRESHOLD
+}
+
+/**
+ * Trace supply for every faction at the end of a turn.
+ * Sets each hex's supplyLevel for its owner, flags units out of supply and
+ * applies attrition to them (heavier in seasons that declare attrition).
+ * Returns { mapData, units, supplyLosses }.
+ */
+export function processSupply(state) {
+  const season = getCurrentSeason(state.turn)
+  const attritionDamage = Math.round(100 * Math.max(BASE_ATTRITION, season.effects.attrition || 0))
+
+  const supply = {}
+  Object.keys(FACTIONS).forEach(factionId => {
+    supply[factionId] = calculateSupply(state.mapData, factionId)
+  })
+
+  const mapData = Object.fromEntries(Object.entries(state.mapData).map(([key, hex]) => {
+    const supplyLevel = hex.owner ? (supply[hex.owner]?.[key] || 0) : 0
+    return [key, hex.supplyLevel === supplyLevel ? hex : { ...hex, supplyLevel }]
+  }))
+
+  const supplyLosses = {}
+  const units = state.units.flatMap(unit => {
+    const levels = supply[unit.owner] || {}
+    if (isInSupply(levels, unit.q, unit.r)) {
+      return [unit.outOfSupply ? { ...unit, outOfSupply: false } : unit]
+    }
+    const health = unit.health - attritionDamage
+    if (health <= 0) {
+      supplyLosses[unit.owner] = (supplyLosses[unit.owner] || 0) + 1
+      return []
+    }
+    return [{ ...unit, health, outOfSupply: true }]
+  })
+
+  return { mapData, units, supplyLosses }
+}
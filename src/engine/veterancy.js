@@ -0,0 +1,34 @@
+// veterancy.js - Combat experience and promotion through the veterancy ranks
+// Units earn XP from every battle they survive and are promoted as they pass
+// EXPERIENCE_THRESHOLDS. Units trained at a War Academy learn faster.
+
+import { getVeterancyLevel } from '../data/units.js'
+import { BUILDINGS } from '../data/terrain.js'
+import { getActiveBuildings } from './economy.js'
+
+/**
+ * Extra XP rate (0.2 = +20%) granted to units trained on a hex
+ */
+export function getTrainingVeterancyBonus(hex) {
+  return getActiveBuildings(hex).reduce(
+    (bonus, buildingId) => bonus + (BUILDINGS[buildingId]?.effects?.veterancyBonus || 0),
+    0
+  )
+}
+
+/**
+ * Add combat experience to a unit, promoting it if it crosses a threshold.
+ * Returns { unit, promotion } where promotion is { from, to } or null.
+ */
+export function awardExperience(unit, amount) {
+  if (!amount) return { unit, promotion: null }
+  
+  const experience = (unit.experience || 0) + Math.round(amount * (1 + (unit.veterancyBonus || 0)))
+  const from = unit.veterancy || 'green'
+  const to = getVeterancyLevel(experience).id
+  
+  return {
+    unit: { ...unit, experience, veterancy: to },
+    promotion: to !== from ? { from, to } : null,
+  }
+}
@@ -0,0 +1,54 @@
+// victory.js - Victory condition evaluation and final standings
+
+import { VICTORY_CONDITIONS, getTerritoryCount } from '../data/mapData.js'
+import { FACTIONS } from '../data/factions.js'
+
+export const ALL_VICTORY_CONDITIONS = Object.keys(VICTORY_CONDITIONS)
+
+/**
+ * Rank every faction by territory, then army size, then gold
+ */
+export function calculateStandings(state, winnerId = null) {
+  const { mapData, units, factionResources } = state
+
+  return Object.keys(FACTIONS)
+    .map(factionId => ({
+      factionId,
+      territory: getTerritoryCount(mapData, factionId),
+      capitals: Object.values(mapData).filter(h => h.isCapital && h.owner === factionId).length,
+      units: units.filter(u => u.owner === factionId).length,
+      gold: factionResources[factionId]?.gold || 0,
+    }))
+    .sort((a, b) =>
+      (b.factionId === winnerId) - (a.factionId === winnerId) ||
+      b.territory - a.territory ||
+      b.units - a.units ||
+      b.gold - a.gold
+    )
+    .map((entry, index) => ({ ...entry, rank: index + 1 }))
+}
+
+/**
+ * Check the enabled victory conditions for every faction.
+ * Returns { winner, condition } or null; ties go to the higher standing.
+ */
+export function evaluateVictory(state) {
+  const enabled = (state.victoryConditions || ALL_VICTORY_CONDITIONS)
+    .map(id => VICTORY_CONDITIONS[id])
+    .filter(Boolean)
+  if (enabled.length === 0) return null
+
+  const achieved = []
+  Object.keys(FACTIONS).forEach(factionId => {
+    const resources = state.factionResources[factionId] || {}
+    const condition = enabled.find(c => c.check(state.mapData, factionId, resources))
+    if (condition) achieved.push({ winner: factionId, condition: condition.id })
+  })
+  if (achieved.length === 0) return null
+
+  const standings = calculateStandings(state)
+  achieved.sort((a, b) =>
+    standings.findIndex(s => s.factionId === a.winner) - standings.findIndex(s => s.factionId === b.winner)
+  )
+  return achieved[0]
+}
@@ -0,0 +1,148 @@
+// visibility.js - Fog of war
+// Each faction sees its own territory and one hex beyond it, plus whatever its
+// units can see within their sight range. Relays extend the sight of anything
+// watching from their hex, and ridges (terrain with blocksSight) cut off the
+// line of sight behind them. Hexes once seen stay explored, and each faction
+// remembers the enemy units and buildings it last saw there (intel).
+
+import { TERRAIN_TYPES, BUILDINGS } from '../data/terrain.js'
+import { hexId, calculateFOV } from '../utils/hexMath.js'
+import { getUnitSight } from '../utils/abilities.js'
+import { getActiveBuildings } from './economy.js'
+
+// Sight range of owned territory
+export const TERRITORY_SIGHT = 1
+
+/**
+ * Set of hex ids a faction can currently see
+ */
+export function calculateVision(mapData, factionId, units) {
+  const blocked = new Set(
+    Object.values(mapData).filter(hex => TERRAIN_TYPES[hex.terrain]?.blocksSight).map(hex => hex.id)
+  )
+  const visible = new Set()
+
+  // Friendly relays raise the sight of whatever watches from their hex
+  const relayBonus = (hex) => hex?.owner === factionId && getActiveBuildings(hex).includes('relay')
+    ? BUILDINGS.relay.effects.sightBonus || 0
+    : 0
+
+  const watch = (q, r, range) => {
+    calculateFOV(q, r, range, blocked).forEach(key => {
+      if (mapData[key]) visible.add(key)
+    })
+  }
+
+  Object.values(mapData).forEach(hex => {
+    if (hex.owner === factionId) watch(hex.q, hex.r, TERRITORY_SIGHT + relayBonus(hex))
+  })
+
+  units.filter(u => u.owner === factionId).forEach(unit => {
+    watch(unit.q, unit.r, getUnitSight(unit) + relayBonus(mapData[hexId(unit.q, unit.r)]))
+  })
+
+  return visible
+}
+
+/**
+ * Recompute one faction's visible/explored flags. Returns a new mapData; hexes
+ * whose flags didn't change keep their identity.
+ */
+export function updateFactionVisibility(mapData, factionId, units) {
+  const vision = calculateVision(mapData, factionId, units)
+  const updated = { ...mapData }
+
+  Object.values(mapData).forEach(hex => {
+    const visible = vision.has(hex.id)
+    const explored = visible || Boolean(hex.explored?.[factionId])
+    if (Boolean(hex.visible?.[factionId]) === visible && Boolean(hex.explored?.[factionId]) === explored) return
+    updated[hex.id] = {
+      ...hex,
+      visible: { ...hex.visible, [factionId]: visible },
+      explored: { ...hex.explored, [factionId]: explored },
+    }
+  })
+
+  return updated
+}
+
+/**
+ * Recompute vision for every faction in the game
+ */
+export function updateVisibility(state) {
+  return Object.keys(state.factionResources).reduce(
+    (mapData, factionId) => updateFactionVisibility(mapData, factionId, state.units),
+    state.mapData
+  )
+}
+
+/**
+ * Whether a faction can currently see a hex
+ */
+export function isHexVisible(mapData, factionId, q, r) {
+  return Boolean(mapData[hexId(q, r)]?.visible?.[factionId])
+}
+
+/**
+ * What a faction knows of a hex's owner: the real one while the hex is its own
+ * or in sight, otherwise whoever its intel last saw holding it (or null).
+ * inSight tells whether buildings, sieges and other details are current.
+ */
+export function getKnownHex(hex, factionId, lastSeen = null) {
+  const inSight = hex.owner === factionId || Boolean(hex.visible?.[factionId])
+  return { inSight, owner: inSight ? hex.owner : lastSeen?.owner ?? null }
+}
+
+/**
+ * The game as one faction sees it: enemy units outside its vision are removed,
+ * and hexes out of sight show the owner and buildings its intel last recorded
+ * there (none if it has no record). Used so the AI only plans with what it
+ * can see.
+ */
+export function getFactionView(state, factionId) {
+  const intel = state.intel?.[factionId] || {}
+  const mapData = { ...state.mapData }
+  Object.values(state.mapData).forEach(hex => {
+    if (getKnownHex(hex, factionId).inSight) return
+    const lastSeen = intel[hex.id]
+    mapData[hex.id] = { ...hex, owner: lastSeen?.owner ?? null, buildings: lastSeen?.buildings || [] }
+  })
+
+  return {
+    ...state,
+    mapData,
+    units: state.units.filter(u => u.owner === factionId || isHexVisible(state.mapData, factionId, u.q, u.r)),
+  }
+}
+
+/**
+ * Remember what each faction last saw on every hex in its vision: enemy units
+ * and foreign buildings, stamped with the turn. Hexes out of sight keep their
+ * last record; a visible hex with nothing of note is forgotten.
+ * Returns { [factionId]: { [hexId]: { turn, owner, units, buildings } } }.
+ */
+export function updateIntel(state) {
+  const intel = { ...state.intel }
+
+  Object.keys(state.factionResources).forEach(factionId => {
+    const memory = { ...intel[factionId] }
+
+    Object.values(state.mapData).forEach(hex => {
+      if (!hex.visible?.[factionId]) return
+      const units = state.units
+        .filter(u => u.owner !== factionId && u.q === hex.q && u.r === hex.r)
+        .map(({ id, type, owner, health }) => ({ id, type, owner, health }))
+      const buildings = hex.owner && hex.owner !== factionId ? hex.buildings || [] : []
+
+      if (units.length === 0 && buildings.length === 0) {
+        delete memory[hex.id]
+        return
+      }
+      memory[hex.id] = { turn: state.turn, owner: hex.owner, units, buildings }
+    })
+
+    intel[factionId] = memory
+  })
+
+  return intel
+}
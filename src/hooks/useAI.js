@@ -5,120 +5,121 @@ import { useCallback, useRef } from 'react'
 import { FACTIONS } from '../data/factions'
 import { UNITS } from '../data/units'
 import { TERRAIN_TYPES } from '../data/terrain'
-import { hexId, getHexNeighbors, hexDistance } from '../utils/hexMath'
-import { previewCombat, getRecommendedDoctrine, resolveCombat } from '../utils/combatResolver'
+import { getDifficulty } from '../data/mapData'
+import { hexId, hexDistance } from '../utils/hexMath'
+import { createRandom, seedRandom } from '../utils/random'
+import { previewStackCombat, getRecommendedDoctrine } from '../utils/combatResolver'
+import { calculateValidMoves, calculateValidAttacks, executeCommand, ACTIONS, PHASES } from '../engine/gameEngine'
+import { getBattleStacks } from '../engine/stacks'
+import { getFactionView } from '../engine/visibility'
+import { planProduction } from '../engine/aiProduction'
+import { planDiplomacy, isAtWar, getRelation } from '../engine/diplomacy'
+import {
+  evaluateHexValue, evaluateThreat, planStrategy, scoreOrderPosition, THREAT_RADIUS,
+} from '../engine/aiStrategy'
 
 /**
- * Calculate strategic value of a hex
+ * Score a single move for a unit based on AI personality
  */
-function evaluateHexValue(hex, mapData, factionId) {
-  let value = 0
+function scoreMove(move, state, faction) {
+  const { mapData, units } = state
+  const traits = faction.aiTraits
   
-  // Resource value
-  value += (hex.resources.gold || 0) * 2
-  value += (hex.resources.iron || 0) * 1.5
-  value += (hex.resources.grain || 0) * 1
+  let score = 0
+  const targetHex = mapData[hexId(move.q, move.r)]
+  if (!targetHex) return -Infinity
   
-  // Capital bonus
-  if (hex.isCapital) {
-    value += 50
+  // Value of capturing/claiming territory
+  if (targetHex.owner !== faction.id) {
+    score += evaluateHexValue(targetHex, mapData, faction.id) * traits.expansion
   }
   
-  // Strategic position (central hexes worth more)
-  const distFromCenter = hexDistance(hex.q, hex.r, 0, 0)
-  value += Math.max(0, 10 - distFromCenter * 2)
+  // Proximity to enemies (aggression)
+  const enemyUnits = units.filter(u => u.owner !== faction.id)
+  enemyUnits.forEach(enemy => {
+    const dist = hexDistance(move.q, move.r, enemy.q, enemy.r)
+    if (dist <= 1) {
+      // Can attack from here - value based on aggression
+      const attackValue = traits.aggression * 20
+      score += attackValue
+    }
+  })
   
-  // Terrain value
-  const terrain = TERRAIN_TYPES[hex.terrain]
+  // Defensive value of position
+  const terrain = TERRAIN_TYPES[targetHex.terrain]
   if (terrain) {
-    value += terrain.defenseModifier * 10
+    score += terrain.defenseModifier * 10 * (1 - traits.riskTolerance)
   }
   
-  // Building value
-  if (hex.buildings?.length > 0) {
-    value += hex.buildings.length * 15
+  // Proximity to own capital (defensive)
+  const ownCapital = Object.values(mapData).find(
+    h => h.isCapital && h.owner === faction.id
+  )
+  if (ownCapital) {
+    const distToCapital = hexDistance(move.q, move.r, ownCapital.q, ownCapital.r)
+    score += (5 - distToCapital) * (1 - traits.aggression)
   }
   
-  // Adjacent to own territory bonus
-  const neighbors = getHexNeighbors(hex.q, hex.r)
-  const adjacentOwned = neighbors.filter(n => {
-    const nHex = mapData[hexId(n.q, n.r)]
-    return nHex && nHex.owner === factionId
-  }).length
-  value += adjacentOwned * 3
-  
-  return value
+  return score
 }
 
 /**
- * Evaluate threat level of an enemy unit
+ * The AI's own dice for one faction's share of a turn. Derived from the game
+ * seed rather than drawn from the game's stream, so a replay makes the same
+ * choices and planning never shifts the combat rolls.
  */
-function evaluateThreat(enemyUnit, ownUnits, mapData) {
-  const unitDef = UNITS[enemyUnit.type]
-  if (!unitDef) return 0
-  
-  let threat = unitDef.stats.attack * 2 + unitDef.stats.defense
-  
-  // Health modifier
-  threat *= (enemyUnit.health || 100) / 100
-  
-  // Proximity to own units/territory
-  let minDist = Infinity
-  ownUnits.forEach(unit => {
-    const dist = hexDistance(enemyUnit.q, enemyUnit.r, unit.q, unit.r)
-    minDist = Math.min(minDist, dist)
-  })
-  
-  if (minDist <= 2) threat *= 1.5
-  if (minDist <= 1) threat *= 2
-  
-  return threat
+function createAIRandom(state, factionId, purpose) {
+  return createRandom(seedRandom(`${state.seed}:ai:${factionId}:${state.turn}:${purpose}`))
 }
 
 /**
- * Find best move for a unit based on AI personality
+ * The options the AI weighs at its difficulty: all of them, or a random few
  */
-function findBestMove(unit, validMoves, state, faction) {
-  const { mapData, units } = state
-  const traits = faction.aiTraits
+function consider(options, limit, random) {
+  if (!limit || options.length <= limit) return options
+  const shuffled = [...options]
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = random.nextInt(i + 1)
+    ;[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
+  }
+  return shuffled.slice(0, limit)
+}
+
+// Weight of next turn's best follow-up when the AI looks ahead
+const LOOKAHEAD_DISCOUNT = 0.5
+
+/**
+ * Find best move for a unit based on AI personality. Harder difficulties look
+ * a turn ahead, easier ones weigh fewer moves and sometimes blunder.
+ * A unit under a strategic order also weighs how well each move serves it,
+ * and may hold where it is; null means staying put.
+ */
+function findBestMove(unit, validMoves, state, faction, difficulty, random, order = null) {
+  const stay = order ? { q: unit.q, r: unit.r } : null
+  const options = [...(stay ? [stay] : []), ...consider(validMoves, difficulty.moveOptions, random)]
+  if (options.length === 0) return null
+  if (random.chance(difficulty.mistakeChance)) {
+    const pick = options[random.nextInt(options.length)]
+    return pick === stay ? null : pick
+  }
+  
+  const evaluate = (move, moveState) =>
+    scoreMove(move, moveState, faction) + (order ? scoreOrderPosition(move.q, move.r, order) : 0)
   
   let bestMove = null
   let bestScore = -Infinity
   
-  validMoves.forEach(move => {
-    let score = 0
-    const targetHex = mapData[hexId(move.q, move.r)]
-    if (!targetHex) return
-    
-    // Value of capturing/claiming territory
-    if (targetHex.owner !== faction.id) {
-      score += evaluateHexValue(targetHex, mapData, faction.id) * traits.expansion
-    }
-    
-    // Proximity to enemies (aggression)
-    const enemyUnits = units.filter(u => u.owner !== faction.id)
-    enemyUnits.forEach(enemy => {
-      const dist = hexDistance(move.q, move.r, enemy.q, enemy.r)
-      if (dist <= 1) {
-        // Can attack from here - value based on aggression
-        const attackValue = traits.aggression * 20
-        score += attackValue
-      }
-    })
+  options.forEach(move => {
+    let score = evaluate(move, state)
     
-    // Defensive value of position
-    const terrain = TERRAIN_TYPES[targetHex.terrain]
-    if (terrain) {
-      score += terrain.defenseModifier * 10 * (1 - traits.riskTolerance)
-    }
-    
-    // Proximity to own capital (defensive)
-    const ownCapital = Object.values(mapData).find(
-      h => h.isCapital && h.owner === faction.id
-    )
-    if (ownCapital) {
-      const distToCapital = hexDistance(move.q, move.r, ownCapital.q, ownCapital.r)
-      score += (5 - distToCapital) * (1 - traits.aggression)
+    // Look ahead: where could the unit go from here next turn? Under orders
+    // it could also hold there.
+    if (difficulty.searchDepth > 1 && score > -Infinity) {
+      const moved = { ...unit, q: move.q, r: move.r, movedThisTurn: false }
+      const nextState = { ...state, units: state.units.map(u => u.id === unit.id ? moved : u) }
+      const followUps = calculateValidMoves(nextState, moved)
+      const bestFollowUp = Math.max(order ? evaluate(move, nextState) : 0, ...followUps.map(next => evaluate(next, nextState)))
+      score += bestFollowUp * LOOKAHEAD_DISCOUNT
     }
     
     if (score > bestScore) {
@@ -127,20 +128,24 @@ function findBestMove(unit, validMoves, state, faction) {
     }
   })
   
-  return bestMove
+  return bestMove === stay ? null : bestMove
 }
 
 /**
- * Find best attack target for a unit
+ * Find best attack target for a unit. Harder difficulties weigh the
+ * counterattack waiting around the target, easier ones weigh fewer targets
+ * and sometimes blunder.
  */
-function findBestTarget(unit, validAttacks, state, faction) {
+function findBestTarget(unit, validAttacks, state, faction, difficulty, random) {
   const { units, mapData } = state
   const traits = faction.aiTraits
+  const options = consider(validAttacks, difficulty.targetOptions, random)
+  const blunder = random.chance(difficulty.mistakeChance)
   
   let bestTarget = null
   let bestScore = -Infinity
   
-  validAttacks.forEach(attack => {
+  options.forEach(attack => {
     const target = units.find(u => u.id === attack.targetId)
     if (!target) return
     
@@ -148,10 +153,14 @@ function findBestTarget(unit, validAttacks, state, faction) {
     const terrain = targetHex?.terrain || 'plains'
     const hexBuildings = targetHex?.buildings || []
     
-    // Preview combat
+    // Preview combat between the two stacks
     const attackerDoc = getRecommendedDoctrine(unit, target, terrain, true)
     const defenderDoc = getRecommendedDoctrine(target, unit, terrain, false)
-    const preview = previewCombat(unit, target, attackerDoc, defenderDoc, terrain, hexBuildings)
+    const { attackers, defenders } = getBattleStacks(units, unit, target)
+    const preview = previewStackCombat(attackers, defenders, attackerDoc, defenderDoc, terrain, hexBuildings, {
+      units,
+      fortificationDamage: targetHex?.fortificationDamage || 0,
+    })
     
     let score = 0
     
@@ -159,7 +168,7 @@ function findBestTarget(unit, validAttacks, state, faction) {
     score += preview.winProbability * traits.riskTolerance
     
     // Value of destroying target
-    if (preview.defender.destroyed) {
+    if (preview.defenders.every(m => m.destroyed)) {
       score += 30
       // Extra value for capturing territory
       if (targetHex) {
@@ -179,6 +188,18 @@ function findBestTarget(unit, validAttacks, state, faction) {
       score += targetDef.cost.gold * 0.1 // High value targets
     }
     
+    // Look ahead: enemies around the target will strike back next turn
+    if (difficulty.searchDepth > 1) {
+      const ownUnits = units.filter(u => u.owner === faction.id)
+      const retaliation = units
+        .filter(u => u.owner !== faction.id && u.id !== target.id && hexDistance(u.q, u.r, target.q, target.r) <= 1)
+        .reduce((sum, enemy) => sum + evaluateThreat(enemy, ownUnits, mapData), 0)
+      score -= retaliation * 0.1 * (1 - traits.riskTolerance)
+    }
+    
+    // A blunder picks a target at random
+    if (blunder) score = random.next() * 100
+    
     if (score > bestScore) {
       bestScore = score
       bestTarget = { attack, preview, score }
@@ -201,80 +222,112 @@ export function useAI(state, dispatch) {
   const processingRef = useRef(false)
   
   /**
-   * Process a single AI faction's turn
+   * Process a single AI faction's share of a phase: construction and training
+   * in production, proposals and wars in diplomacy, the army in movement.
+   * Starts from the given state and resolves with the state its commands leave,
+   * so each faction plans with what the ones before it did.
    */
-  const processAITurn = useCallback((factionId) => {
-    if (processingRef.current) return Promise.resolve()
-    if (factionId === state.playerFaction) return Promise.resolve()
-    
-    processingRef.current = true
+  const processAITurn = useCallback((factionId, phase, from = state) => {
+    if (processingRef.current) return Promise.resolve(from)
+    if (factionId === from.playerFaction) return Promise.resolve(from)
     
     const faction = FACTIONS[factionId]
-    if (!faction) {
-      processingRef.current = false
-      return Promise.resolve()
+    if (!faction) return Promise.resolve(from)
+    
+    // The game as it stands after every command issued so far. Each command is
+    // checked against it before it is dispatched, and applied to it after.
+    let current = from
+    const issue = (command) => {
+      const result = executeCommand(current, command)
+      if (result.rejection) return false
+      current = result.state
+      dispatch(command)
+      return true
     }
     
-    const factionUnits = state.units.filter(u => u.owner === factionId)
+    // Plan only with what this faction can see, as well as the difficulty allows
+    const difficulty = getDifficulty(current.difficulty)
+    const random = createAIRandom(current, factionId, phase)
+    const view = getFactionView(current, factionId)
+    const unitIds = view.units.filter(u => u.owner === factionId).map(u => u.id)
+    
+    if (phase === PHASES.PRODUCTION) {
+      planProduction(view, factionId).forEach(command => issue(command))
+      return Promise.resolve(current)
+    }
+    if (phase === PHASES.DIPLOMACY) {
+      planDiplomacy(view, factionId).forEach(command => issue(command))
+      return Promise.resolve(current)
+    }
+    if (phase !== PHASES.MOVEMENT) return Promise.resolve(current)
+    
+    processingRef.current = true
+    
+    // Factions at war, the only ones the command layer lets it attack
+    const enemies = new Set(Object.keys(view.factionResources).filter(id => isAtWar(view, factionId, id)))
+    // Factions whose units count as a threat to the capital
+    const hostile = new Set(Object.keys(view.factionResources).filter(id =>
+      id !== factionId && getRelation(view, factionId, id) !== 'allied'
+    ))
     
     return new Promise((resolve) => {
       let actionIndex = 0
       
       const processNextUnit = () => {
-        if (actionIndex >= factionUnits.length) {
+        if (actionIndex >= unitIds.length) {
           processingRef.current = false
-          resolve()
+          resolve(current)
           return
         }
         
-        const unit = factionUnits[actionIndex]
+        // Each unit acts on the game as the units before it left it
+        const view = getFactionView(current, factionId)
+        const unit = view.units.find(u => u.id === unitIds[actionIndex])
         
-        // Skip if already moved/attacked
-        if (unit.movedThisTurn && unit.attackedThisTurn) {
+        // Skip if destroyed or already moved/attacked
+        if (!unit || (unit.movedThisTurn && unit.attackedThisTurn)) {
           actionIndex++
           setTimeout(processNextUnit, 100)
           return
         }
         
+        // Strategic layer, replanned as the army moves and fights: garrison the
+        // capital, gather fronts, recall units when the capital is threatened
+        const strategy = planStrategy(view, factionId, faction.aiTraits, enemies, hostile)
+        const { capital } = strategy
+        
         // Get valid moves and attacks
-        const validMoves = calculateValidMovesForAI(state, unit)
-        const validAttacks = calculateValidAttacksForAI(state, unit)
+        const validMoves = calculateValidMoves(view, unit)
+        const validAttacks = calculateValidAttacks(view, unit)
         
-        // Try to find best action
-        const bestAttack = findBestTarget(unit, validAttacks, state, faction)
-        const bestMove = findBestMove(unit, validMoves, state, faction)
+        // Units with a strategic order weigh it with everything else; the rest
+        // act on their own. Fronts strike only once gathered; garrisons and
+        // recalled units only strike at enemies threatening the capital
+        const order = strategy.orders[unit.id]
+        const allowedAttacks = !order ? validAttacks
+          : order.role === 'front' ? (strategy.fronts[order.front].ready ? validAttacks : [])
+          : validAttacks.filter(a => strategy.defending && hexDistance(a.q, a.r, capital.q, capital.r) <= THREAT_RADIUS)
+        const bestAttack = findBestTarget(unit, allowedAttacks, view, faction, difficulty, random)
+        const bestMove = findBestMove(unit, validMoves, view, faction, difficulty, random, order)
         
         // Execute action
-        if (bestAttack && !unit.attackedThisTurn) {
-          // Attack - resolve immediately for AI
-          const combatResult = resolveCombat(bestAttack.preview)
-          const target = state.units.find(u => u.id === bestAttack.attack.targetId)
-          
-          // Use AI_RESOLVE_COMBAT which includes attacker/defender info directly
-          dispatch({
-            type: 'AI_RESOLVE_COMBAT',
-            attackerId: unit.id,
-            defenderId: bestAttack.attack.targetId,
-            result: {
-              attackerHealth: combatResult.attacker.newHealth,
-              defenderHealth: combatResult.defender.newHealth,
-              attackerDestroyed: combatResult.attacker.destroyed,
-              defenderDestroyed: combatResult.defender.destroyed,
-              attackerXPGain: combatResult.attacker.expGain || 5,
-              defenderXPGain: combatResult.defender.expGain || 5,
-              hexCaptured: combatResult.hexCaptured,
-            }
-          })
+        if (bestAttack && !unit.attackedThisTurn && issue({
+          // Attack - the engine rolls the outcome from the game's random stream
+          type: ACTIONS.ATTACK,
+          faction: factionId,
+          attackerId: unit.id,
+          defenderId: bestAttack.attack.targetId,
+          attackerDoctrine: bestAttack.preview.attacker.doctrine,
+        })) {
           actionIndex++
           setTimeout(processNextUnit, 500)
-        } else if (bestMove && !unit.movedThisTurn) {
-          // Move
-          dispatch({
-            type: 'MOVE_UNIT',
-            unitId: unit.id,
-            toQ: bestMove.q,
-            toR: bestMove.r,
-          })
+        } else if (bestMove && !unit.movedThisTurn && issue({
+          type: ACTIONS.MOVE_UNIT,
+          faction: factionId,
+          unitId: unit.id,
+          toQ: bestMove.q,
+          toR: bestMove.r,
+        })) {
           actionIndex++
           setTimeout(processNextUnit, 300)
         } else {
@@ -290,15 +343,18 @@ export function useAI(state, dispatch) {
   }, [state, dispatch])
   
   /**
-   * Process all AI factions
+   * Process all AI factions for a phase, each starting from the state the
+   * previous one left
    */
-  const processAllAI = useCallback(async () => {
+  const processAllAI = useCallback(async (phase) => {
     const aiFactions = Object.keys(FACTIONS).filter(id => id !== state.playerFaction)
     
+    let current = state
     for (const factionId of aiFactions) {
-      await processAITurn(factionId)
+      current = await processAITurn(factionId, phase, current)
     }
-  }, [state.playerFaction, processAITurn])
+    return current
+  }, [state, processAITurn])
   
   /**
    * Get AI recommendation for a unit (for player hints)
@@ -307,8 +363,11 @@ export function useAI(state, dispatch) {
     const faction = FACTIONS[unit.owner]
     if (!faction) return null
     
-    const validMoves = calculateValidMovesForAI(state, unit)
-    const validAttacks = calculateValidAttacksForAI(state, unit)
+    const view = getFactionView(state, unit.owner)
+    const validMoves = calculateValidMoves(view, unit)
+    const validAttacks = calculateValidAttacks(view, unit)
+    const difficulty = getDifficulty()
+    const random = createAIRandom(state, unit.owner, `hint:${unit.id}`)
     
     const recommendations = {
       move: null,
@@ -316,11 +375,11 @@ export function useAI(state, dispatch) {
     }
     
     if (validMoves.length > 0) {
-      recommendations.move = findBestMove(unit, validMoves, state, faction)
+      recommendations.move = findBestMove(unit, validMoves, view, faction, difficulty, random)
     }
     
     if (validAttacks.length > 0) {
-      recommendations.attack = findBestTarget(unit, validAttacks, state, faction)
+      recommendations.attack = findBestTarget(unit, validAttacks, view, faction, difficulty, random)
     }
     
     return recommendations
@@ -334,80 +393,4 @@ export function useAI(state, dispatch) {
   }
 }
 
-// Helper functions for AI calculations
-function calculateValidMovesForAI(state, unit) {
-  if (!unit || unit.movedThisTurn) return []
-  
-  const { mapData, units } = state
-  const movement = unit.stats.movement
-  const validMoves = []
-  
-  const visited = new Set()
-  const queue = [{ q: unit.q, r: unit.r, remaining: movement }]
-  visited.add(hexId(unit.q, unit.r))
-  
-  while (queue.length > 0) {
-    const current = queue.shift()
-    const neighbors = getHexNeighbors(current.q, current.r)
-    
-    for (const neighbor of neighbors) {
-      const nId = hexId(neighbor.q, neighbor.r)
-      if (visited.has(nId)) continue
-      
-      const hex = mapData[nId]
-      if (!hex) continue
-      
-      const hasUnit = units.find(u => 
-        u.q === neighbor.q && u.r === neighbor.r && u.id !== unit.id
-      )
-      if (hasUnit) continue
-      
-      const moveCost = 1
-      
-      if (current.remaining >= moveCost) {
-        visited.add(nId)
-        validMoves.push({ q: neighbor.q, r: neighbor.r })
-        
-        if (current.remaining > moveCost) {
-          queue.push({ 
-            q: neighbor.q, 
-            r: neighbor.r, 
-            remaining: current.remaining - moveCost 
-          })
-        }
-      }
-    }
-  }
-  
-  return validMoves
-}
-
-function calculateValidAttacksForAI(state, unit) {
-  if (!unit || unit.attackedThisTurn) return []
-  
-  const { units, relations } = state
-  const range = unit.stats.range || 1
-  const validAttacks = []
-  
-  units.forEach(target => {
-    if (target.owner === unit.owner) return
-    
-    // Check relations - can't attack allied factions
-    const relation = relations[unit.owner]?.[target.owner] || 'neutral'
-    if (relation === 'allied') return
-    
-    const dist = hexDistance(unit.q, unit.r, target.q, target.r)
-    if (dist <= range) {
-      validAttacks.push({ 
-        q: target.q, 
-        r: target.r, 
-        targetId: target.id,
-        distance: dist
-      })
-    }
-  })
-  
-  return validAttacks
-}
-
 export default useAI
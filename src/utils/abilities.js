@@ -0,0 +1,251 @@
+// Unit ability system for The Fractured Sphere
+// Each ability in UNITS[type].abilities is a registered module. Modules hook
+// into movement, combat strength, damage and visibility:
+//   modifyMoveCost(cost, { unit, hex, terrain })
+//   canMove({ unit }) / canAttack({ unit })
+//   modifyStrength({ attack, defense }, combat)
+//   modifyDamageDealt(damage, combat) / modifyDamageTaken(damage, combat)
+//   modifySight(sight, { unit })
+//   isConcealed({ unit, observer, distance })
+// Combat hooks only run while the module's active(combat) check passes. The
+// combat context is { unit, opponent, isAttacker, distance, terrain,
+// hexBuildings, opponentDoctrine, units, fortificationDamage }.
+
+import { UNITS, UNIT_BRANCHES } from '../data/units.js'
+import { BUILDINGS } from '../data/terrain.js'
+import { hexDistance } from './hexMath.js'
+
+export const ABILITIES = {}
+
+/**
+ * Add an ability module to the registry
+ */
+export function registerAbility(ability) {
+  ABILITIES[ability.id] = ability
+  return ability
+}
+
+/**
+ * Whether a unit's type declares an ability
+ */
+export function hasAbility(unit, abilityId) {
+  return Boolean(UNITS[unit?.type]?.abilities?.includes(abilityId))
+}
+
+// Registered modules for a unit's declared abilities
+function getUnitAbilities(unit) {
+  return (UNITS[unit?.type]?.abilities || []).map(id => ABILITIES[id]).filter(Boolean)
+}
+
+const branchOf = (unit) => UNITS[unit?.type]?.branch
+const scale = (strength, attack = 1, defense = 1) => ({
+  attack: strength.attack * attack,
+  defense: strength.defense * defense,
+})
+const isFortified = (hexBuildings) => (hexBuildings || []).some(id => BUILDINGS[id]?.effects?.defenseBonus)
+
+// ============ HOOK RUNNERS ============
+
+/**
+ * Movement cost after a unit's abilities
+ */
+export function applyMoveCostAbilities(cost, context) {
+  return getUnitAbilities(context.unit).reduce(
+    (value, ability) => ability.modifyMoveCost ? ability.modifyMoveCost(value, context) : value,
+    cost
+  )
+}
+
+/**
+ * Whether a unit's abilities allow it to move right now
+ */
+export function canMoveWithAbilities(unit) {
+  return getUnitAbilities(unit).every(ability => !ability.canMove || ability.canMove({ unit }))
+}
+
+/**
+ * Whether a unit's abilities allow it to attack right now
+ */
+export function canAttackWithAbilities(unit) {
+  return getUnitAbilities(unit).every(ability => !ability.canAttack || ability.canAttack({ unit }))
+}
+
+/**
+ * Abilities whose combat effects apply in a given combat context
+ */
+export function getActiveAbilities(combat) {
+  return getUnitAbilities(combat.unit).filter(ability =>
+    (ability.modifyStrength || ability.modifyDamageDealt || ability.modifyDamageTaken) &&
+    (!ability.active || ability.active(combat))
+  )
+}
+
+/**
+ * Attack/defense after the unit's active abilities
+ */
+export function applyStrengthAbilities(strength, combat) {
+  return getActiveAbilities(combat).reduce(
+    (value, ability) => ability.modifyStrength ? ability.modifyStrength(value, combat) : value,
+    strength
+  )
+}
+
+/**
+ * Damage multiplier a unit applies to the damage it deals
+ */
+export function getDamageDealtMultiplier(combat) {
+  return getActiveAbilities(combat).reduce(
+    (value, ability) => ability.modifyDamageDealt ? ability.modifyDamageDealt(value, combat) : value,
+    1
+  )
+}
+
+/**
+ * Damage multiplier a unit applies to the damage it takes
+ */
+export function getDamageTakenMultiplier(combat) {
+  return getActiveAbilities(combat).reduce(
+    (value, ability) => ability.modifyDamageTaken ? ability.modifyDamageTaken(value, combat) : value,
+    1
+  )
+}
+
+/**
+ * Sight range after the unit's abilities
+ */
+export function getUnitSight(unit) {
+  const sight = unit.stats?.sight ?? UNITS[unit.type]?.stats.sight ?? 2
+  return getUnitAbilities(unit).reduce(
+    (value, ability) => ability.modifySight ? ability.modifySight(value, { unit }) : value,
+    sight
+  )
+}
+
+/**
+ * Whether a unit is hidden from an observing unit
+ */
+export function isConcealedFrom(unit, observer) {
+  const distance = hexDistance(unit.q, unit.r, observer.q, observer.r)
+  return getUnitAbilities(unit).some(ability =>
+    ability.isConcealed && ability.isConcealed({ unit, observer, distance })
+  )
+}
+
+// ============ ABILITIES ============
+
+registerAbility({
+  id: 'fortify',
+  name: 'Fortify',
+  effect: '+30% defense while dug in',
+  active: ({ unit, isAttacker }) => !isAttacker && !unit.movedThisTurn,
+  modifyStrength: (strength) => scale(strength, 1, 1.3),
+})
+
+registerAbility({
+  id: 'charge',
+  name: 'Charge',
+  effect: '+25% attack after moving',
+  active: ({ unit, isAttacker, distance }) => isAttacker && unit.movedThisTurn && distance <= 1,
+  modifyStrength: (strength) => scale(strength, 1.25),
+})
+
+registerAbility({
+  id: 'flanking',
+  name: 'Flanking',
+  effect: '+20% attack with allies on another side',
+  // Another friendly unit, not in the attacking stack, next to the defender
+  active: ({ unit, opponent, isAttacker, units }) => isAttacker && (units || []).some(u =>
+    u.owner === unit.owner &&
+    !(u.q === unit.q && u.r === unit.r) &&
+    hexDistance(u.q, u.r, opponent.q, opponent.r) === 1
+  ),
+  modifyStrength: (strength) => scale(strength, 1.2),
+})
+
+registerAbility({
+  id: 'air_superiority',
+  name: 'Air Superiority',
+  effect: '+50% attack and defense against aircraft',
+  active: ({ opponent }) => branchOf(opponent) === UNIT_BRANCHES.AIR,
+  modifyStrength: (strength) => scale(strength, 1.5, 1.5),
+})
+
+registerAbility({
+  id: 'bombing_run',
+  name: 'Bombing Run',
+  effect: 'Half damage from ground return fire',
+  active: ({ opponent, isAttacker }) => isAttacker && branchOf(opponent) !== UNIT_BRANCHES.AIR,
+  modifyDamageTaken: (damage) => damage * 0.5,
+})
+
+registerAbility({
+  id: 'anti_structure',
+  name: 'Anti-Structure',
+  effect: '+50% damage to defenders among buildings',
+  active: ({ isAttacker, hexBuildings }) => isAttacker && (hexBuildings || []).length > 0,
+  modifyDamageDealt: (damage) => damage * 1.5,
+})
+
+registerAbility({
+  id: 'stealth',
+  name: 'Stealth',
+  effect: 'Only adjacent units or scouts can target it',
+  isConcealed: ({ observer, distance }) => distance > 1 && !hasAbility(observer, 'scout'),
+})
+
+registerAbility({
+  id: 'scout',
+  name: 'Reconnaissance',
+  effect: '+1 sight and detects stealth units',
+  modifySight: (sight) => sight + 1,
+})
+
+registerAbility({
+  id: 'armored',
+  name: 'Armored',
+  effect: '-25% damage from ground units',
+  active: ({ opponent }) => branchOf(opponent) === UNIT_BRANCHES.GROUND,
+  modifyDamageTaken: (damage) => damage * 0.75,
+})
+
+registerAbility({
+  id: 'breakthrough',
+  name: 'Breakthrough',
+  effect: '+25% attack against entrenched defenders',
+  active: ({ isAttacker, opponentDoctrine, hexBuildings }) =>
+    isAttacker && (opponentDoctrine === 'defensive' || isFortified(hexBuildings)),
+  modifyStrength: (strength) => scale(strength, 1.25),
+})
+
+registerAbility({
+  id: 'all_terrain',
+  name: 'All-Terrain',
+  effect: 'Crosses any terrain at base cost',
+  modifyMoveCost: () => 1,
+})
+
+registerAbility({
+  id: 'crushing',
+  name: 'Crushing',
+  effect: '+25% damage to ground units',
+  active: ({ opponent }) => branchOf(opponent) === UNIT_BRANCHES.GROUND,
+  modifyDamageDealt: (damage) => damage * 1.25,
+})
+
+registerAbility({
+  id: 'siege',
+  name: 'Siege Guns',
+  effect: '+50% attack against fortifications',
+  active: ({ isAttacker, hexBuildings }) => isAttacker && isFortified(hexBuildings),
+  modifyStrength: (strength) => scale(strength, 1.5),
+})
+
+registerAbility({
+  id: 'indirect_fire',
+  name: 'Indirect Fire',
+  effect: 'No return fire at range; cannot move and fire in one turn',
+  canMove: ({ unit }) => !unit.attackedThisTurn,
+  canAttack: ({ unit }) => !unit.movedThisTurn,
+  active: ({ isAttacker, distance }) => isAttacker && distance > 1,
+  modifyDamageTaken: () => 0,
+})
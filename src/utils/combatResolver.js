@@ -1,13 +1,28 @@
 // Combat resolution system for The Fractured Sphere
 
-import { UNITS, DOCTRINES, VETERANCY_LEVELS, getVeterancyLevel } from '../data/units'
-import { TERRAIN_TYPES, BUILDINGS, calculateTerrainBonus } from '../data/terrain'
-import { FACTIONS } from '../data/factions'
+import { UNITS, DOCTRINES, VETERANCY_LEVELS, getVeterancyLevel } from '../data/units.js'
+import { TERRAIN_TYPES, BUILDINGS, calculateTerrainBonus } from '../data/terrain.js'
+import { FACTIONS } from '../data/factions.js'
+import { hexDistance } from './hexMath.js'
+import {
+  applyStrengthAbilities,
+  getActiveAbilities,
+  getDamageDealtMultiplier,
+  getDamageTakenMultiplier,
+} from './abilities.js'
+
+// Strength lost by units cut off from supply
+export const OUT_OF_SUPPLY_PENALTY = 0.25
+
+// Experience for surviving a battle, and for wiping out the other side
+export const EXP_ENGAGEMENT = 5
+export const EXP_VICTORY = 15
 
 /**
  * Calculate the effective combat strength of a unit
+ * Pass a combat context (see abilities.js) to apply the unit's abilities
  */
-export function calculateUnitStrength(unit, doctrine = null, terrain = null, isAttacker = true, hexBuildings = []) {
+export function calculateUnitStrength(unit, doctrine = null, terrain = null, isAttacker = true, hexBuildings = [], combat = null) {
   const unitDef = UNITS[unit.type]
   if (!unitDef) return { attack: 0, defense: 0 }
   
@@ -26,6 +41,17 @@ export function calculateUnitStrength(unit, doctrine = null, terrain = null, isA
   attack *= healthPercent
   defense *= healthPercent
   
+  // Apply morale (unpaid, demoralized units fight at down to half strength)
+  const moralePercent = (unit.morale ?? 100) / 100
+  attack *= 0.5 + 0.5 * moralePercent
+  defense *= 0.5 + 0.5 * moralePercent
+  
+  // Apply supply (units cut off from supply lines fight worse)
+  if (unit.outOfSupply) {
+    attack *= 1 - OUT_OF_SUPPLY_PENALTY
+    defense *= 1 - OUT_OF_SUPPLY_PENALTY
+  }
+  
   // Apply doctrine modifiers
   if (doctrine) {
     const doc = DOCTRINES[doctrine]
@@ -51,12 +77,14 @@ export function calculateUnitStrength(unit, doctrine = null, terrain = null, isA
     }
   }
   
-  // Apply building modifiers (fortress defense bonus for defenders)
+  // Apply building modifiers (fortress defense bonus for defenders, worn
+  // down by siege bombardment)
   if (!isAttacker && hexBuildings && hexBuildings.length > 0) {
+    const integrity = 1 - (combat?.fortificationDamage || 0)
     hexBuildings.forEach(buildingId => {
       const building = BUILDINGS[buildingId]
       if (building?.effects?.defenseBonus) {
-        defense *= (1 + building.effects.defenseBonus)
+        defense *= (1 + building.effects.defenseBonus * integrity)
       }
     })
   }
@@ -72,6 +100,11 @@ export function calculateUnitStrength(unit, doctrine = null, terrain = null, isA
     }
   }
   
+  // Apply abilities active in this fight
+  if (combat) {
+    ({ attack, defense } = applyStrengthAbilities({ attack, defense }, combat))
+  }
+  
   return {
     attack: Math.round(attack * 10) / 10,
     defense: Math.round(defense * 10) / 10,
@@ -105,17 +138,52 @@ export function calculateDoctrineAdvantage(attackerDoctrine, defenderDoctrine) {
 /**
  * Preview combat outcome without applying it
  */
-export function previewCombat(attacker, defender, attackerDoctrine, defenderDoctrine, terrain, hexBuildings = []) {
+export function previewCombat(attacker, defender, attackerDoctrine, defenderDoctrine, terrain, hexBuildings = [], context = {}) {
+  return previewStackCombat([attacker], [defender], attackerDoctrine, defenderDoctrine, terrain, hexBuildings, context)
+}
+
+/**
+ * Preview a battle between two stacks. The first unit of each stack leads
+ * (attacker/defender describe it); attackers/defenders list every member.
+ * Each side deals damage in proportion to its size, spread evenly across the
+ * members of the other side. context.units (all units on the map) lets
+ * position-dependent abilities such as flanking apply; context.fortificationDamage
+ * (0-1, from sieges) weakens the defending hex's fortifications.
+ */
+export function previewStackCombat(attackers, defenders, attackerDoctrine, defenderDoctrine, terrain, hexBuildings = [], context = {}) {
+  const attacker = attackers[0]
+  const defender = defenders[0]
+  
+  // Ability context for each unit in the fight
+  const distance = hexDistance(attacker.q, attacker.r, defender.q, defender.r)
+  const combatFor = (unit, isAttacker) => ({
+    unit,
+    isAttacker,
+    opponent: isAttacker ? defender : attacker,
+    opponentDoctrine: isAttacker ? defenderDoctrine : attackerDoctrine,
+    distance,
+    terrain,
+    hexBuildings,
+    units: context.units || [...attackers, ...defenders],
+    fortificationDamage: context.fortificationDamage || 0,
+  })
+  
   // Calculate effective strengths
-  const attackerStrength = calculateUnitStrength(attacker, attackerDoctrine, terrain, true, [])
-  const defenderStrength = calculateUnitStrength(defender, defenderDoctrine, terrain, false, hexBuildings)
+  const attackerStrength = calculateUnitStrength(attacker, attackerDoctrine, terrain, true, [], combatFor(attacker, true))
+  const defenderStrength = calculateUnitStrength(defender, defenderDoctrine, terrain, false, hexBuildings, combatFor(defender, false))
+  const stack = calculateStackCombat(
+    attackers.map(unit => ({ unit, doctrine: attackerDoctrine, combat: combatFor(unit, true) })),
+    defenders.map(unit => ({ unit, doctrine: defenderDoctrine, combat: combatFor(unit, false) })),
+    terrain,
+    hexBuildings
+  )
   
   // Calculate doctrine advantage
   const doctrineAdvantage = calculateDoctrineAdvantage(attackerDoctrine, defenderDoctrine)
   
   // Calculate total force values
-  const attackForce = attackerStrength.attack * (1 + doctrineAdvantage)
-  const defendForce = defenderStrength.defense
+  const attackForce = stack.attackForce * (1 + doctrineAdvantage)
+  const defendForce = stack.defendForce
   
   // Calculate damage ratio (Lanchester-style)
   const totalForce = attackForce + defendForce
@@ -125,9 +193,9 @@ export function previewCombat(attacker, defender, attackerDoctrine, defenderDoct
   // Base damage calculation
   const baseDamage = 30 // Base damage dealt per combat
   
-  // Calculate expected damage
-  let attackerDamage = Math.round(baseDamage * attackerDamageRatio)
-  let defenderDamage = Math.round(baseDamage * defenderDamageRatio)
+  // Calculate expected damage to each member of a stack
+  let attackerDamage = Math.round(baseDamage * attackerDamageRatio * defenders.length / attackers.length)
+  let defenderDamage = Math.round(baseDamage * defenderDamageRatio * attackers.length / defenders.length)
   
   // Apply casualty modifiers from doctrines
   const attDoc = DOCTRINES[attackerDoctrine]
@@ -150,13 +218,33 @@ export function previewCombat(attacker, defender, attackerDoctrine, defenderDoct
     defenderDamage += firstStrikeBonus.extraDamage
   }
   
+  // Ability damage modifiers: the dealing side's average, then each member's own
+  const averageDealt = (units, isAttacker) =>
+    units.reduce((sum, unit) => sum + getDamageDealtMultiplier(combatFor(unit, isAttacker)), 0) / units.length
+  const attackerDealt = averageDealt(attackers, true)
+  const defenderDealt = averageDealt(defenders, false)
+  
   // Calculate resulting health
-  const attackerNewHealth = Math.max(0, (attacker.health || 100) - attackerDamage)
-  const defenderNewHealth = Math.max(0, (defender.health || 100) - defenderDamage)
+  const applyDamage = (unit, baseMemberDamage, dealt, isAttacker) => {
+    const damage = Math.round(baseMemberDamage * dealt * getDamageTakenMultiplier(combatFor(unit, isAttacker)))
+    return {
+      unit,
+      damageTaken: damage,
+      newHealth: Math.max(0, (unit.health || 100) - damage),
+      destroyed: (unit.health || 100) - damage <= 0,
+    }
+  }
+  const attackerResults = attackers.map(unit => applyDamage(unit, attackerDamage, defenderDealt, true))
+  const defenderResults = defenders.map(unit => applyDamage(unit, defenderDamage, attackerDealt, false))
+  
+  // Abilities in play on each side, for the battle forecast
+  const listAbilities = (units, isAttacker) => units.flatMap(unit =>
+    getActiveAbilities(combatFor(unit, isAttacker)).map(({ id, name, effect }) => ({ unitId: unit.id, unitType: unit.type, id, name, effect }))
+  )
   
   // Determine outcome
-  const attackerDestroyed = attackerNewHealth <= 0
-  const defenderDestroyed = defenderNewHealth <= 0
+  const attackerDestroyed = attackerResults.every(m => m.destroyed)
+  const defenderDestroyed = defenderResults.every(m => m.destroyed)
   
   // Calculate win probability (simplified)
   const attackerAdvantage = attackForce / defendForce
@@ -164,30 +252,30 @@ export function previewCombat(attacker, defender, attackerDoctrine, defenderDoct
   
   // Experience gained
   const expGain = {
-    attacker: defenderDestroyed ? 15 : 5,
-    defender: attackerDestroyed ? 15 : 5,
+    attacker: defenderDestroyed ? EXP_VICTORY : EXP_ENGAGEMENT,
+    defender: attackerDestroyed ? EXP_VICTORY : EXP_ENGAGEMENT,
   }
+  attackerResults.forEach(m => { m.expGain = m.destroyed ? 0 : expGain.attacker })
+  defenderResults.forEach(m => { m.expGain = m.destroyed ? 0 : expGain.defender })
   
   return {
     attacker: {
-      unit: attacker,
+      ...attackerResults[0],
       doctrine: attackerDoctrine,
       strength: attackerStrength,
       force: Math.round(attackForce * 10) / 10,
-      damageTaken: attackerDamage,
-      newHealth: attackerNewHealth,
-      destroyed: attackerDestroyed,
-      expGain: attackerDestroyed ? 0 : expGain.attacker,
     },
     defender: {
-      unit: defender,
+      ...defenderResults[0],
       doctrine: defenderDoctrine,
       strength: defenderStrength,
       force: Math.round(defendForce * 10) / 10,
-      damageTaken: defenderDamage,
-      newHealth: defenderNewHealth,
-      destroyed: defenderDestroyed,
-      expGain: defenderDestroyed ? 0 : expGain.defender,
+    },
+    attackers: attackerResults,
+    defenders: defenderResults,
+    abilities: {
+      attacker: listAbilities(attackers, true),
+      defender: listAbilities(defenders, false),
     },
     doctrineAdvantage,
     terrain,
@@ -198,47 +286,51 @@ export function previewCombat(attacker, defender, attackerDoctrine, defenderDoct
 
 /**
  * Resolve combat and return the result
+ * Variance and retreat rolls are drawn from the game's random stream
  */
-export function resolveCombat(preview, randomFactor = null) {
-  // Use provided random or generate one
-  const random = randomFactor !== null ? randomFactor : Math.random()
+export function resolveCombat(preview, random) {
+  const varianceRoll = random.next()
   
   // Add some variance to damage (Â±20%)
-  const attackerVariance = 0.8 + (random * 0.4)
-  const defenderVariance = 0.8 + ((1 - random) * 0.4)
+  const attackerVariance = 0.8 + (varianceRoll * 0.4)
+  const defenderVariance = 0.8 + ((1 - varianceRoll) * 0.4)
   
-  const finalAttackerDamage = Math.round(preview.attacker.damageTaken * attackerVariance)
-  const finalDefenderDamage = Math.round(preview.defender.damageTaken * defenderVariance)
+  const rollDamage = (member, variance) => {
+    const damageTaken = Math.round(member.damageTaken * variance)
+    const newHealth = Math.max(0, (member.unit.health || 100) - damageTaken)
+    return { ...member, damageTaken, newHealth, destroyed: newHealth <= 0 }
+  }
+  const attackers = (preview.attackers || [preview.attacker]).map(m => rollDamage(m, attackerVariance))
+  const defenders = (preview.defenders || [preview.defender]).map(m => rollDamage(m, defenderVariance))
   
-  const attackerFinalHealth = Math.max(0, (preview.attacker.unit.health || 100) - finalAttackerDamage)
-  const defenderFinalHealth = Math.max(0, (preview.defender.unit.health || 100) - finalDefenderDamage)
+  const survivingDefenders = defenders.filter(m => !m.destroyed)
   
-  const attackerDestroyed = attackerFinalHealth <= 0
-  const defenderDestroyed = defenderFinalHealth <= 0
+  // Experience follows the rolled outcome, not the forecast
+  const attackersWiped = attackers.every(m => m.destroyed)
+  attackers.forEach(m => { m.expGain = m.destroyed ? 0 : (survivingDefenders.length === 0 ? EXP_VICTORY : EXP_ENGAGEMENT) })
+  defenders.forEach(m => { m.expGain = m.destroyed ? 0 : (attackersWiped ? EXP_VICTORY : EXP_ENGAGEMENT) })
   
-  // Determine if attacker captures hex (defender destroyed, attacker survives)
-  const hexCaptured = defenderDestroyed && !attackerDestroyed
+  // Determine if attacker captures hex (whole defending stack destroyed, attacker survives)
+  const hexCaptured = survivingDefenders.length === 0 && attackers.some(m => !m.destroyed)
   
-  // Retreat logic: if defender survives but is badly damaged
+  // Retreat logic: if the defenders survive but are all badly damaged
   let defenderRetreats = false
-  if (!defenderDestroyed && defenderFinalHealth < 30 && random > 0.5) {
+  if (survivingDefenders.length > 0 && survivingDefenders.every(m => m.newHealth < 30) && random.next() > 0.5) {
     defenderRetreats = true
   }
   
   return {
     attacker: {
       ...preview.attacker,
-      damageTaken: finalAttackerDamage,
-      newHealth: attackerFinalHealth,
-      destroyed: attackerDestroyed,
+      ...attackers[0],
     },
     defender: {
       ...preview.defender,
-      damageTaken: finalDefenderDamage,
-      newHealth: defenderFinalHealth,
-      destroyed: defenderDestroyed,
+      ...defenders[0],
       retreats: defenderRetreats,
     },
+    attackers,
+    defenders,
     hexCaptured,
     doctrineAdvantage: preview.doctrineAdvantage,
     terrain: preview.terrain,
@@ -324,18 +416,18 @@ export function getRecommendedDoctrine(unit, opponent, terrain, isAttacker) {
 /**
  * Calculate stack combat (multiple units)
  */
-export function calculateStackCombat(attackers, defenders, terrain) {
+export function calculateStackCombat(attackers, defenders, terrain, hexBuildings = []) {
   // Sum up forces for each side
   let totalAttackForce = 0
   let totalDefendForce = 0
   
-  attackers.forEach(({ unit, doctrine }) => {
-    const strength = calculateUnitStrength(unit, doctrine, terrain, true)
+  attackers.forEach(({ unit, doctrine, combat }) => {
+    const strength = calculateUnitStrength(unit, doctrine, terrain, true, [], combat)
     totalAttackForce += strength.attack
   })
   
-  defenders.forEach(({ unit, doctrine }) => {
-    const strength = calculateUnitStrength(unit, doctrine, terrain, false)
+  defenders.forEach(({ unit, doctrine, combat }) => {
+    const strength = calculateUnitStrength(unit, doctrine, terrain, false, hexBuildings, combat)
     totalDefendForce += strength.defense
   })
   
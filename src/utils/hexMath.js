@@ -116,13 +116,14 @@ export const getHexRing = (centerQ, centerR, radius) => {
   if (radius === 0) return [{ q: centerQ, r: centerR }]
   
   const results = []
+  // Walk the six sides in order, starting from the southwest corner
   const directions = [
     { q: 1, r: 0 },
-    { q: 0, r: 1 },
-    { q: -1, r: 1 },
-    { q: -1, r: 0 },
-    { q: 0, r: -1 },
     { q: 1, r: -1 },
+    { q: 0, r: -1 },
+    { q: -1, r: 0 },
+    { q: -1, r: 1 },
+    { q: 0, r: 1 },
   ]
   
   // Start at the hex radius steps away in one direction
@@ -139,15 +140,16 @@ export const getHexRing = (centerQ, centerR, radius) => {
 }
 
 // Line drawing between hexes (for paths, supply lines)
-export const hexLineDraw = (q1, r1, q2, r2) => {
+// nudge shifts the line off hex edges; flip its sign to take the other side of a tie
+export const hexLineDraw = (q1, r1, q2, r2, nudge = 1e-6) => {
   const n = hexDistance(q1, r1, q2, r2)
   if (n === 0) return [{ q: q1, r: r1 }]
   
   const results = []
   for (let i = 0; i <= n; i++) {
     const t = i / n
-    const qLerp = q1 + (q2 - q1) * t
-    const rLerp = r1 + (r2 - r1) * t
+    const qLerp = q1 + nudge + (q2 - q1) * t
+    const rLerp = r1 + nudge + (r2 - r1) * t
     const cube = cubeRound(axialToCube(qLerp, rLerp))
     results.push(cubeToAxial(cube))
   }
@@ -155,22 +157,17 @@ export const hexLineDraw = (q1, r1, q2, r2) => {
 }
 
 // Field of view calculation
+// A hex is visible if either line to it (on each side of a tied edge) is clear
 export const calculateFOV = (q, r, range, blockedHexes = new Set()) => {
   const visible = new Set()
   visible.add(`${q},${r}`)
   
+  const isClear = (line) => line.slice(1, -1).every(h => !blockedHexes.has(`${h.q},${h.r}`))
+  
   for (let ring = 1; ring <= range; ring++) {
     const ringHexes = getHexRing(q, r, ring)
     for (const hex of ringHexes) {
-      const line = hexLineDraw(q, r, hex.q, hex.r)
-      let blocked = false
-      for (let i = 1; i < line.length - 1; i++) {
-        if (blockedHexes.has(`${line[i].q},${line[i].r}`)) {
-          blocked = true
-          break
-        }
-      }
-      if (!blocked) {
+      if (isClear(hexLineDraw(q, r, hex.q, hex.r)) || isClear(hexLineDraw(q, r, hex.q, hex.r, -1e-6))) {
         visible.add(`${hex.q},${hex.r}`)
       }
     }
@@ -0,0 +1,50 @@
+// Deterministic pseudo-random numbers for The Fractured Sphere
+// Game state stores a single 32-bit generator state; every random decision
+// draws from it so a seed plus a command list replays exactly.
+
+// Hash any seed (number or string) into a 32-bit generator state
+export const seedRandom = (seed) => {
+  const text = String(seed)
+  let h = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 0x01000193)
+  }
+  return h >>> 0
+}
+
+/**
+ * Create a random stream from a stored generator state (mulberry32).
+ * The stream advances locally; read getState() to store it back.
+ */
+export const createRandom = (rngState) => {
+  let state = rngState >>> 0
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  return {
+    // Float in [0, 1)
+    next,
+    // Integer in [0, max)
+    nextInt: (max) => Math.floor(next() * max),
+    // True with probability p
+    chance: (p) => next() < p,
+    getState: () => state,
+  }
+}
+
+/**
+ * A fresh seed for a new game. Games started from the same seed (and the same
+ * commands) play out identically; this only picks which game to play.
+ */
+export const generateSeed = () => {
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    return crypto.getRandomValues(new Uint32Array(1))[0]
+  }
+  return (Date.now() ^ Math.floor(Math.random() * 0x100000000)) >>> 0
+}
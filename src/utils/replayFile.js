@@ -0,0 +1,27 @@
+// Replay file import/export for sharing matches
+
+import { createReplay, parseReplay } from '../engine/replay.js'
+
+/**
+ * Download the current game as a .json replay file
+ */
+export function downloadReplay(state) {
+  const replay = createReplay(state)
+  const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' })
+  const url = URL.createObjectURL(blob)
+
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `fractured-sphere-${replay.playerFaction}-turn${replay.turns}.replay.json`
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Read and validate a replay from a File picked by the user
+ */
+export function readReplayFile(file) {
+  return file.text().then(parseReplay)
+}
@@ -0,0 +1,84 @@
+// Named save slots backed by localStorage
+
+import { serializeGame, deserializeGame } from '../engine/saveGame.js'
+
+const STORAGE_PREFIX = 'fracturedSphere.save.'
+const INDEX_KEY = 'fracturedSphere.saveIndex'
+
+export const AUTOSAVE_SLOT = 'autosave'
+
+const getStorage = () => {
+  if (typeof window === 'undefined' || !window.localStorage) return null
+  return window.localStorage
+}
+
+const readIndex = (storage) => {
+  try {
+    const index = JSON.parse(storage.getItem(INDEX_KEY) || '[]')
+    return Array.isArray(index) ? index : []
+  } catch (e) {
+    return []
+  }
+}
+
+const writeIndex = (storage, index) => {
+  storage.setItem(INDEX_KEY, JSON.stringify(index))
+}
+
+/**
+ * List save slot summaries, newest first
+ */
+export function listSaves() {
+  const storage = getStorage()
+  if (!storage) return []
+  return readIndex(storage).sort((a, b) => b.savedAt - a.savedAt)
+}
+
+/**
+ * Write the current game state to a named slot
+ */
+export function saveToSlot(slot, state) {
+  const storage = getStorage()
+  if (!storage || !state?.gameStarted) return false
+
+  const save = serializeGame(state, { name: slot })
+  try {
+    storage.setItem(STORAGE_PREFIX + slot, JSON.stringify(save))
+  } catch (e) {
+    console.warn('Failed to write save:', e)
+    return false
+  }
+
+  const index = readIndex(storage).filter(entry => entry.slot !== slot)
+  index.push({ slot, savedAt: save.savedAt, version: save.version, ...save.summary })
+  writeIndex(storage, index)
+  return true
+}
+
+/**
+ * Load and migrate a slot; returns game state or null if it can't be read
+ */
+export function loadFromSlot(slot) {
+  const storage = getStorage()
+  if (!storage) return null
+
+  try {
+    const raw = storage.getItem(STORAGE_PREFIX + slot)
+    if (!raw) return null
+    return deserializeGame(JSON.parse(raw))
+  } catch (e) {
+    console.warn(`Failed to load save "${slot}":`, e)
+    return null
+  }
+}
+
+/**
+ * Remove a slot and its index entry
+ */
+export function deleteSlot(slot) {
+  const storage = getStorage()
+  if (!storage) return
+
+  storage.removeItem(STORAGE_PREFIX + slot)
+  writeIndex(storage, readIndex(storage).filter(entry => entry.slot !== slot))
+}